@@ -3,12 +3,14 @@
 
 // Key considerations:
 
-// 1. Make sure the expected power for each device is accurate. If a device is expected to consume 1000W, but actually consumes 2000W, the script will not be able to accurately manage the load.
+// 1. Make sure the expected power for each device is accurate. If a device is expected to consume 1000W, but actually consumes 2000W, the script will not be able to accurately manage the load. Devices that report their power draw (apower) will have their expectedPower adjusted during full syncs.
 // 2. The script re-evaluates every time the shelly reports a new value. This typically occurs every 3-15s. It can't react faster than that.
-// 3. The script will not immediatly turn on/off devices that are presumed to already be on/off. If a device is turned on/off manually, the script will only correct this after the next full sync.
+// 3. The script will not immediatly turn on/off devices that are presumed to already be on/off. If a device is turned on/off manually, the script will only notice and correct this after the next full sync, which reads back the actual state of every device.
 // 4. Lowering the sync_interval will increase the frequency of full syncs, but it will not increase the speed at which the system reacts to changes in power consumption.
-// 5. Priority is in order of highest expected power and position in device list. To reach e.g. 4000W it will enable a 3000W device and a 1000W device, even if there are 8 higher priority 500W devices.
-// 6. Devices without expectedPower are turned on only if every other device is already on. -- not yet implemented
+// 5. Priority is in order of the priority field (higher first), then highest expected power and position in device list. With allocation_mode "greedy", devices are simply taken in that order while they fit.
+//    With "bestfit", the combination of devices that fills the surplus best is taken, one priority level after another. E.g. with a 3000W and two 2000W devices and a 4000W surplus, greedy only enables the 3000W device, while bestfit enables both 2000W devices.
+// 6. Devices without expectedPower are turned on only if every other device is already on, one at a time. Their draw is measured after opportunistic_settle_time
+//    (apower if the device reports it, otherwise the change of the power reading) and they are only kept on if it still fits. The draw is remembered for later decisions.
 
 
 /************************   settings  ************************/
@@ -25,16 +27,82 @@ power_decrease_threshold_duration = 30;
 sync_interval = 5 * 60;
 // if the power readings are inverted, set this to true. The logs of the script should report negative values if you produce more than you consume
 invert_power_readings = true;
+// how to pick the devices to turn on. "greedy" takes devices in order of priority and expected power as long as they fit.
+// "bestfit" searches for the combination of devices that uses the surplus best, still filling higher priorities first
+allocation_mode = "greedy";
+// allocate against the surplus of every phase (Pro3EM_channels) instead of only the total, for meters that don't balance the phases.
+// Devices declare their phase with "phase", see below
+per_phase = false;
+// maximum import in watts on a single phase. Devices on a phase that would import more are stepped down, those on other phases are kept. 0 disables this
+phase_import_limit = 0;
+// hard limits, e.g. for the main fuse. Above them, devices are turned off right away, lowest priority first, instead of waiting for
+// power_decrease_threshold_duration, and an alert is sent to Gotify and MQTT. Only devices overridden to "on" are kept
+emergency = {
+    import_limit: 0,                    // total import in watts, 0 disables this
+    phase_import_limit: 0,              // import in watts on any single phase (Pro3EM_channels), 0 disables this
+    cooldown: 5 * 60,                   // time in seconds after an emergency in which no device is turned on
+};
+// on every full sync, expectedPower is moved towards the power a device actually reports (apower) by this factor. 0 disables learning, 1 takes over the last reading as is
+expected_power_learning_rate = 0.2;
+// power readings below this value (in watts) are not learned from, e.g. a heater that is on, but whose thermostat has cut off
+expected_power_learning_min = 50;
 
 Pro4PM_channels = [0, 1, 2, 3];      // default to sum of all channels for 4PM 
 Pro3EM_channels = ['a', 'b', 'c'];   // similar if device is 3EM
 
+// where the power readings come from. "local" uses the status updates of the Shelly this script runs on (Pro3EM or Pro4PM, see above).
+// "shelly" polls another Shelly, "http" polls any URL that returns JSON
+power_source = {
+    type: "local",
+    model: "em1",                       // for "shelly": "gen1-em" (Shelly EM), "gen1-3em" (Shelly 3EM), "em" (Pro3EM, 3EM Gen3) or "em1" (Pro EM-50, EM Gen3)
+    addr: "192.168.178.40",             // for "shelly": IP address of the metering Shelly
+    channel: 0,                         // for "shelly": the channel (gen1-em, em1) or id (em) of the meter
+    url: "",                            // for "http": the URL to poll
+    path: "",                           // for "http": where the power is in the JSON, e.g. "meters.0.power"
+    interval: 5,                        // time in seconds between polls
+    max_age: 30,                        // without a reading newer than this (in seconds) the source is considered lost, then no power is diverted at all
+};
+// smooths the power readings before they reach the decision logic, so a short spike (e.g. a kettle) doesn't start or cancel a pending state.
+// "none", "average" or "median" over the last `samples` readings, or "exponential" smoothing with `alpha` between 0 and 1, lower is smoother
+power_filter = {
+    type: "none",
+    samples: 5,
+    alpha: 0.3,
+};
+// home battery, so diverted surplus doesn't starve it. Readings come from an HTTP endpoint that returns JSON or from MQTT topics
+battery = {
+    source: "none",                     // "none", "http" or "mqtt"
+    url: "",                            // for "http": the URL to poll
+    interval: 10,                       // for "http": time in seconds between polls
+    soc_topic: "",                      // for "mqtt": topic with the state of charge
+    power_topic: "",                    // for "mqtt": topic with the charge/discharge power, can be the same as soc_topic
+    soc_path: "",                       // where the state of charge (in %) is in the JSON, e.g. "battery.soc". Empty if the payload is just the number
+    power_path: "",                     // where the power is in the JSON, positive while charging
+    invert_power: false,                // set to true if the battery reports discharging as positive
+    max_age: 60,                        // readings older than this (in seconds) are considered lost, then no power is diverted at all
+    min_soc: 0,                         // only divert surplus while the state of charge (in %) is at least this
+    charge_as_surplus_soc: 101,         // from this state of charge (in %) on, the power the battery charges with counts as surplus. 101 never does
+    prevent_discharge: true,            // count battery discharge as import, so diverted loads are stepped down instead of draining the battery
+};
+
 // name needs to be unique
 // descr is not used and just for taking notes for the device
 // addr is the IP address of the device, visible in the Shelly app
 // gen is the generation of the device, see https://shelly-api-docs.shelly.cloud/gen2/Devices/Gen2/ShellyPro1
 // id is the channel, 0 for single channel devices
-// expected power is the power in watts that the device is expected to consume when on
+// driver is optional and decides how a device is switched and read back, see the README for the settings of each one:
+//   "shelly" (default with gen) uses relay/light for Gen1 and <type>.Set for Gen2+, with password for protected devices (digest authentication on Gen2+)
+//   "tasmota" sends cm?cmnd=Power<channel + 1>, "mqtt" publishes to command_topic and follows state_topic, "http" fills in the url, method, body and headers templates
+// expected power is the power in watts that the device is expected to consume when on. Devices without it are opportunistic, see 6. above
+// phase is optional, "a", "b" or "c" for single phase devices, or "3-phase" (default), only used with per_phase and phase_import_limit
+// priority is optional, devices with a higher priority get power first. Defaults to 0
+// minOnTime and minOffTime are optional, the time in seconds a device has to stay on/off after it was switched, e.g. to protect the compressor of a heat pump
+// maxSwitchesPerHour is optional and limits how often a device may be switched within the last hour
+// windows is optional, a list of "HH:MM-HH:MM" time ranges in which the device may be turned on, e.g. ["09:00-19:00"]
+// minRuntime is optional, the minutes per day the device has to run. If the surplus didn't cover this by runtimeDeadline ("HH:MM", defaults to "23:59"), the device is turned on from the grid
+// adjustable devices (dimmers, wallboxes, multi-stage heaters) get the surplus that is left after the relays, see the README for their settings:
+//   minPower/maxPower is the range of power the device can take, steps is a list of the power of each level instead
+//   with gen and type "light" the brightness of a Shelly Dimmer is set, otherwise setpoint_url is called with {value} replaced by the power times setpointScale, or the level number for steps
 const devices = [
     { "name": "1.1", "descr": "Shelly 1 Mini Gen 3", "addr": "192.168.178.49", "gen": 1, "type": "relay", "channel": 0, "expectedPower": 1000 },
     { "name": "1.2", "descr": "Shelly 1 Mini Gen 3", "addr": "192.168.178.53", "gen": 1, "type": "relay", "channel": 0, "expectedPower": 1000 },
@@ -43,6 +111,8 @@ const devices = [
     { "name": "2.2", "descr": "Shelly 1 Mini Gen 3", "addr": "192.168.178.55", "gen": 1, "type": "relay", "channel": 0, "expectedPower": 3000 },
     { "name": "2.3", "descr": "Shelly 1 Mini Gen 3", "addr": "192.168.178.59", "gen": 1, "type": "relay", "channel": 0, "expectedPower": 3000 },
     // { "name":"3.1", "descr": "Shelly Plus 1, enable to burn EVEN MOAR POWER", "addr":"192.168.178.199", "gen":1, "type":"relay", "channel":0},
+    // { "name": "4.1", "descr": "Shelly Dimmer 2 with a heating foil", "addr": "192.168.178.60", "gen": 1, "type": "light", "channel": 0, "minPower": 50, "maxPower": 600 },
+    // { "name": "5.1", "descr": "Wallbox, 6-16A on 3 phases", "setpoint_url": "http://192.168.178.61/api/set?amp={value}", "setpointScale": 0.00145, "minPower": 4140, "maxPower": 11040 },
 ];
 
 
@@ -50,6 +120,12 @@ const devices = [
 /*****************  more technical settings  *****************/
 
 callLimit = 3;                         // number of outgoing calls to devices at a time. This is both for turning on/off the relays and for checking the actual state
+command_retries = 3;                   // number of times a failed command is retried. After that, the device is considered unreachable and ignored until it answers again
+command_retry_delay = 5;               // time in seconds before the first retry, doubled for every further retry
+setpoint_deadband = 50;                // an adjustable device only gets a new setpoint if it differs by at least this many watts from the current one
+persist_interval = 15 * 60;            // time in seconds between saving device states, counters and learned values to the KVS of the Shelly, so they survive a restart. 0 disables this
+bestfit_max_iterations = 500;          // limits the search of allocation_mode "bestfit" per priority level, to keep within the CPU limits of the Shelly. Stops with the best combination found so far
+opportunistic_settle_time = 30;        // time in seconds after turning on a device without expectedPower, before its draw is measured
 logging = {
     level: "info",                     // set to error, warn, info, debug or trace for increasing amounts of logging
     gotify: {
@@ -64,6 +140,23 @@ logging = {
     }
 }
 
+mqtt_control = {
+    enabled: false,                     // set to true to change settings and override devices over MQTT, using the topicPrefix of logging.mqtt. See the README for the topics
+    discovery: true,                    // publish Home Assistant MQTT discovery config, so devices and settings show up in Home Assistant
+    discoveryPrefix: "homeassistant",   // discovery prefix configured in Home Assistant
+}
+
+energy_report = {
+    enabled: false,                     // set to true to count on-time and energy of every device and the exported and imported energy. After midnight, a summary of the day is logged, sent to Gotify and published to <topicPrefix>report
+    format: "json",                     // "json" or "influx" (line protocol) for the MQTT messages, e.g. for Grafana
+    interval: 5 * 60,                   // time in seconds between publishing the counters of the current day to <topicPrefix>energy, 0 disables this
+}
+
+http_api = {
+    enabled: false,                     // set to true to serve the state of the script as JSON on http://<this shelly>/script/<script id>/load-shedding
+    token: "",                          // requests that change settings or override devices need ?token=<token>. Leave empty to refuse all changes
+}
+
 simulation = {                          // these are for testing purposes
     enabled: false,                     // set to true to enable simulation mode. This means that the script will not actually turn on/off devices, but will log what it would do
     power: 0,                           // set to a positive or negative number to simulate power production or consumption. Works also with simulation disabled, actually turning on/off devices!
@@ -72,11 +165,25 @@ simulation = {                          // these are for testing purposes
 /***************   program variables, do not change  ***************/
 
 channel_power = {};
+power_samples = []; // the last readings for power_filter
+filtered_power = 0;
+battery_state = { soc: undefined, power: 0, time: 0 }; // the last battery readings, power is positive while charging
+battery_lost = false; // readings are missing or too old
+power_source_time = 0; // time of the last reading of a remote power_source
+power_source_lost = false; // the remote power_source didn't answer for power_source.max_age
+energy = { day: -1, exported: 0, imported: 0 }; // Wh of the current day, see energy_report
+last_energy_update = 0;
+emergency_until = 0; // no device is turned on before this time, after an emergency shedding
 verifying = false;
 device_name_index_map = {}; // maps device name to index in devices array
 sorted_devices = [];
+adjustable_devices = [];
+opportunistic_devices = []; // devices without expectedPower
+probe = null; // the opportunistic device that was just turned on and whose draw is not measured yet
+opportunistic_since = 0; // since when there is enough surplus for the next opportunistic device
+opportunistic_short_since = 0; // since when there is not enough surplus for the opportunistic devices that are on
 in_flight = 0;
-full_sync_timer = 0;
+tasks = []; // the periodic tasks, see every
 debug = logging.level === "trace"; // this is used by toolbox functions. .. Is it though? TODO check
 log = 0; // this is the logger object, overriden at the bottom of the script. TODO necessary?
 current_expected_power_draw = 0;
@@ -84,6 +191,23 @@ current_desired_device_states = [];
 pending_states = {};
 step_up_timer = 0;
 step_down_timer = 0;
+runtime_day = -1;
+last_runtime_update = 0;
+controller_paused = false;
+changed_settings = {}; // runtime settings changed since the script was configured, they are persisted
+kvs_version = 1; // increase when the format of the persisted state changes, older entries are dropped then
+persisted = {}; // the last value written for each KVS key, to skip writing unchanged values
+// settings that can be changed at runtime, e.g. over MQTT
+runtime_settings = {
+    power_headroom: { type: "number", min: 0, get: function () { return power_headroom; }, set: function (v) { power_headroom = v; } },
+    power_hysteresis_span: { type: "number", min: 0, get: function () { return power_hysteresis_span; }, set: function (v) { power_hysteresis_span = v; } },
+    power_increase_threshold_duration: { type: "number", min: 0, get: function () { return power_increase_threshold_duration; }, set: function (v) { power_increase_threshold_duration = v; } },
+    power_decrease_threshold_duration: { type: "number", min: 0, get: function () { return power_decrease_threshold_duration; }, set: function (v) { power_decrease_threshold_duration = v; } },
+    simulation_power: { type: "number", get: function () { return simulation.power; }, set: function (v) { simulation.power = v; } },
+    logging_level: { type: "level", get: function () { return logging.level; }, set: function (v) { logging.level = v; } },
+    battery_min_soc: { type: "number", min: 0, max: 100, get: function () { return battery.min_soc; }, set: function (v) { battery.min_soc = v; } },
+    paused: { type: "boolean", get: function () { return controller_paused; }, set: function (v) { controller_paused = v; } },
+};
 
 function total_power() {
     if (simulation.power) return simulation.power;
@@ -94,14 +218,841 @@ function total_power() {
     return power;
 }
 
-function callback(result, error_code, error_message, user_data) {
+// the share of its power a device draws from a phase
+function phase_share(device, phase) {
+    if (device.phase == "a" || device.phase == "b" || device.phase == "c")
+        return device.phase == phase ? 1 : 0;
+    return 1 / 3;
+}
+
+// the surplus on a phase, negative for import
+function phase_surplus(phase) {
+    return (invert_power_readings ? channel_power[phase] : -channel_power[phase]) + metered_power(phase);
+}
+
+// opportunistic devices that don't report apower are measured through the meter, so unlike all other devices their draw is in the reading.
+// It is taken out again, so the rest of the script can keep assuming that the meter doesn't see the controlled devices.
+// Without phase, the draw on all phases
+function metered_power(phase) {
+    let power = 0;
+    for (let device of opportunistic_devices) {
+        if (device.metered && device.presumed_state == "on" && (!probe || probe.device != device))
+            power += (device.observed_power || 0) * (def(phase) ? phase_share(device, phase) : 1);
+    }
+    return power;
+}
+
+// how much power the devices can draw from every phase: the surplus of the phase minus a third of the headroom with per_phase,
+// otherwise the surplus plus phase_import_limit. null if neither is enabled or the meter doesn't report phases
+function phase_budgets() {
+    if (!per_phase && !phase_import_limit) return null;
+    let budgets = null;
+    for (let phase of Pro3EM_channels) {
+        if (!def(channel_power[phase])) continue;
+        let surplus = phase_surplus(phase);
+        if (!budgets) budgets = {};
+        budgets[phase] = per_phase ? surplus - power_headroom / 3 : surplus + phase_import_limit;
+    }
+    return budgets;
+}
+
+function fits_phases(device, power, phases) {
+    if (!phases) return true;
+    for (let phase in phases) {
+        let share = phase_share(device, phase);
+        if (share > 0 && power * share > phases[phase]) return false;
+    }
+    return true;
+}
+
+function take_phases(device, power, phases) {
+    if (!phases) return;
+    for (let phase in phases) {
+        phases[phase] -= power * phase_share(device, phase);
+    }
+}
+
+// checks that the devices turned on in deviceStates stay within the budget of every phase they draw from, keeping margin watts to spare
+function phases_fit(deviceStates, budgets, margin) {
+    if (!budgets) return true;
+    let phases = Object.assign({}, budgets);
+    for (let deviceState of deviceStates) {
+        if (deviceState.turned === "on") {
+            let device = devices[device_name_index_map[deviceState.name]];
+            take_phases(device, device.expectedPower, phases);
+        }
+    }
+    for (let phase in phases) {
+        if (phases[phase] < budgets[phase] && phases[phase] < margin) return false;
+    }
+    return true;
+}
+
+function median(values) {
+    // Array.sort doesn't work on Shelly devices, so insertion sort on a copy
+    let sorted = [];
+    for (let v of values) {
+        let i = sorted.length;
+        while (i > 0 && sorted[i - 1] > v) i--;
+        sorted.splice(i, 0, v);
+    }
+    let mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// runs a new reading through power_filter, the result is what the decision logic works with
+function add_power_sample(power) {
+    if (power_filter.type == "exponential") {
+        filtered_power = power_samples.length == 0 ? power : power_filter.alpha * power + (1 - power_filter.alpha) * filtered_power;
+        power_samples = [power];
+        return;
+    }
+    power_samples.push(power);
+    while (power_samples.length > (power_filter.type == "none" ? 1 : power_filter.samples))
+        power_samples.splice(0, 1);
+    if (power_filter.type == "median") {
+        filtered_power = median(power_samples);
+    } else {
+        let sum = 0;
+        for (let v of power_samples) {
+            sum += v;
+        }
+        filtered_power = sum / power_samples.length;
+    }
+}
+
+function current_power() {
+    if (simulation.power || power_samples.length == 0) return total_power();
+    return Math.round(filtered_power);
+}
+
+// follows a path like "meters.0.power" into the parsed JSON
+function json_path(value, path) {
+    if (!path) return value;
+    for (let key of path.split(".")) {
+        if (value === null || typeof value !== "object") return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function power_source_url() {
+    let base = "http://" + power_source.addr + "/";
+    let channel = power_source.channel.toString();
+    if (power_source.type == "http") return power_source.url;
+    if (power_source.model == "gen1-em" || power_source.model == "gen1-3em") return base + "status";
+    if (power_source.model == "em") return base + "rpc/EM.GetStatus?id=" + channel;
+    return base + "rpc/EM1.GetStatus?id=" + channel;
+}
+
+// the readings of 3-phase meters are kept per phase, like the local Pro3EM ones
+function read_power_source(status) {
+    let readings = {};
+    if (power_source.type == "http") {
+        readings.total = json_path(status, power_source.path);
+    } else if (power_source.model == "gen1-em") {
+        readings.total = status.emeters[power_source.channel].power;
+    } else if (power_source.model == "gen1-3em") {
+        for (let k in Pro3EM_channels) {
+            readings[Pro3EM_channels[k]] = status.emeters[k].power;
+        }
+    } else if (power_source.model == "em") {
+        for (let k in Pro3EM_channels) {
+            readings[Pro3EM_channels[k]] = status[Pro3EM_channels[k] + "_act_power"];
+        }
+    } else {
+        readings.total = status.act_power;
+    }
+    for (let k in readings) {
+        if (typeof readings[k] !== "number") return null;
+    }
+    return readings;
+}
+
+function power_source_callback(result) {
+    let readings = null;
+    if (result && result.code === 200) {
+        try {
+            readings = read_power_source(JSON.parse(result.body));
+        } catch (e) {
+            readings = null;
+        }
+    }
+    if (!readings) {
+        log.debug("Could not read power from " + power_source_url() + (result ? ", HTTP " + result.code : ", no response"));
+        // the last reading is kept until max_age, then the devices are stepped down without new readings
+        if (Date.now() - power_source_time > power_source.max_age * 1000)
+            check_power({ source: power_source.type });
+        return;
+    }
+    power_source_time = Date.now();
+    channel_power = readings;
+    add_power_sample(total_power());
+    check_power({ source: power_source.type });
+}
+
+function power_source_is_lost(now) {
+    return power_source.type != "local" && now - power_source_time > power_source.max_age * 1000;
+}
+
+// warns once when the remote power_source is lost and once when it is back
+function watch_power_source(now) {
+    let lost = power_source_is_lost(now);
+    if (lost == power_source_lost) return;
+    power_source_lost = lost;
+    if (lost) log.warn("No power readings from " + power_source_url() + " for " + power_source.max_age + "s, not diverting any power");
+    else log.warn("Power readings from " + power_source_url() + " are back");
+}
+
+// a lost remote power_source leaves no surplus, so devices are stepped down instead of running on the last reading
+function source_power(currentPower, now) {
+    return power_source_is_lost(now) ? Math.max(currentPower, 0) : currentPower;
+}
+
+function poll_power_source() {
+    Call("HTTP.GET", { url: power_source_url() }, power_source_callback);
+}
+
+// reads a number from a payload that is either the number itself or JSON with the number at path
+function battery_value(payload, path) {
+    let value = typeof payload === "string" ? JSON.parse(payload) : payload;
+    value = json_path(value, path);
+    if (typeof value === "string") value = Number(value);
+    return typeof value === "number" && !isNaN(value) ? value : undefined;
+}
+
+function battery_reading(soc, power) {
+    if (def(soc)) battery_state.soc = soc;
+    if (def(power)) battery_state.power = battery.invert_power ? -power : power;
+    if (def(soc) || def(power)) battery_state.time = Date.now();
+}
+
+function battery_http_callback(result) {
+    let soc, power;
+    if (result && result.code === 200) {
+        try {
+            let json = JSON.parse(result.body);
+            soc = battery_value(json, battery.soc_path);
+            power = battery_value(json, battery.power_path);
+        } catch (e) {
+            soc = undefined;
+        }
+    }
+    if (!def(soc)) {
+        log.warn("Could not read battery from " + battery.url + (result ? ", HTTP " + result.code : ", no response"));
+        return;
+    }
+    battery_reading(soc, power);
+}
+
+function poll_battery() {
+    Call("HTTP.GET", { url: battery.url }, battery_http_callback);
+}
+
+function battery_mqtt(topic, message) {
+    try {
+        battery_reading(topic == battery.soc_topic ? battery_value(message, battery.soc_path) : undefined,
+            topic == battery.power_topic ? battery_value(message, battery.power_path) : undefined);
+    } catch (e) {
+        log.warn("Could not read battery from " + topic + ": " + message);
+    }
+}
+
+function init_battery() {
+    if (battery.source == "http") {
+        every(battery.interval, poll_battery);
+        poll_battery();
+    } else if (battery.source == "mqtt") {
+        MQTT.subscribe(battery.soc_topic, battery_mqtt);
+        if (battery.power_topic && battery.power_topic != battery.soc_topic)
+            MQTT.subscribe(battery.power_topic, battery_mqtt);
+    }
+}
+
+function battery_is_lost(now) {
+    return battery.source != "none" && (!def(battery_state.soc) || now - battery_state.time > battery.max_age * 1000);
+}
+
+// logs once when the battery readings are lost and once when they are back
+function watch_battery(now) {
+    let lost = battery_is_lost(now);
+    if (lost == battery_lost) return;
+    battery_lost = lost;
+    if (lost) log.warn("No battery readings for " + battery.max_age + "s, not diverting any power");
+    else log.info("Battery readings are back");
+}
+
+// applies the battery policies to the power reading: no surplus below min_soc or without recent readings,
+// charging power counts as surplus from charge_as_surplus_soc on, and discharging counts as import
+function battery_power(currentPower, now) {
+    if (battery.source == "none") return currentPower;
+    if (battery_is_lost(now) || battery_state.soc < battery.min_soc)
+        return Math.max(currentPower, 0);
+    let power = currentPower;
+    if (battery_state.power > 0 && battery_state.soc >= battery.charge_as_surplus_soc)
+        power -= battery_state.power;
+    if (battery_state.power < 0 && battery.prevent_discharge)
+        power -= battery_state.power;
+    return power;
+}
+
+function callback(result, user_data) {
+    in_flight--;
+    let device = devices[device_name_index_map[user_data.name]];
+    let action = def(user_data.power) ? "set to " + user_data.power + "W" : "turn " + user_data.dir;
+    if (!result || result.code !== 200) {
+        device_failed(device, action + " failed" + (result ? " with HTTP " + result.code : ", no response"));
+        // the device may or may not have switched, so we don't know anymore
+        device.presumed_state = "unknown";
+        device.presumed_power = undefined;
+        if (!device.unreachable && !device.retry_at) {
+            let delay = command_retry_delay * Math.pow(2, device.failures - 1);
+            log.debug("Retrying " + device.name + " in " + delay + "s");
+            device.retry_at = Date.now() + delay * 1000;
+        }
+    } else {
+        log.debug("Device " + device.name + ": " + action);
+        device_answered(device);
+    }
+}
+
+function retry_command(deviceName) {
+    let device = devices[device_name_index_map[deviceName]];
+    device.retry_at = 0;
+    if (is_adjustable(device))
+        set_power(deviceName, device.target_power);
+    else
+        turn(deviceName, device.target_state);
+}
+
+function publish_reachable(device) {
+    if (logging.mqtt.enabled) {
+        let topic = logging.mqtt.topicPrefix + device.name + "/reachable";
+        MQTT.publish(topic, device.unreachable ? "false" : "true");
+    }
+}
+
+// after command_retries consecutive failures the device is left out of the allocation, until it answers again
+function device_failed(device, error) {
+    device.failures++;
+    device.last_error = error;
+    log.warn("Device " + device.name + ": " + error);
+    if (device.failures > command_retries && !device.unreachable) {
+        device.unreachable = true;
+        log.warn("Device " + device.name + " is unreachable after " + device.failures + " failed attempts, ignoring it until it answers again");
+        publish_reachable(device);
+        // its power can't be relied on anymore, so free it up for the other devices
+        for (let deviceState of current_desired_device_states) {
+            if (deviceState.name === device.name)
+                deviceState.turned = "off";
+        }
+        current_expected_power_draw = expected_power_draw(current_desired_device_states);
+    }
+}
+
+function device_answered(device) {
+    device.failures = 0;
+    if (device.unreachable) {
+        device.unreachable = false;
+        log.info("Device " + device.name + " is reachable again");
+        publish_reachable(device);
+    }
+}
+
+function record_switch(device) {
+    let now = Date.now();
+    device.last_switch = now;
+    if (!def(device.maxSwitchesPerHour)) return;
+    device.switch_times.push(now);
+    while (device.switch_times.length > 0 && device.switch_times[0] <= now - 3600 * 1000)
+        device.switch_times.splice(0, 1);
+}
+
+function parse_time(time) {
+    let parts = time.split(":");
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60;
+}
+
+function seconds_of_day(now) {
+    let date = new Date(now);
+    return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+}
+
+// windows are "HH:MM-HH:MM" in local time, a window ending before it starts runs over midnight
+function in_windows(device, now) {
+    if (!def(device.windows)) return true;
+    let time = seconds_of_day(now);
+    for (let window of device.windows) {
+        let bounds = window.split("-");
+        let start = parse_time(bounds[0]);
+        let end = parse_time(bounds[1]);
+        if (start <= end ? (time >= start && time < end) : (time >= start || time < end))
+            return true;
+    }
+    return false;
+}
+
+function day_of(now) {
+    let date = new Date(now);
+    return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+// the power a device draws right now for the energy counters: the last apower it reported while on, otherwise the expected power
+function device_power(device) {
+    if (is_adjustable(device)) return device.presumed_power || 0;
+    if (device.presumed_state != "on") return 0;
+    if (device.last_apower > 0) return device.last_apower;
+    return is_opportunistic(device) ? device.observed_power || 0 : device.expectedPower;
+}
+
+// integrates the energy of the devices and the exported and imported energy, while the controller is active
+function update_energy(now) {
+    if (!energy_report.enabled) return;
+    if (last_energy_update) {
+        let hours = (now - last_energy_update) / 3600 / 1000;
+        let power = total_power();
+        if (power < 0)
+            energy.exported += -power * hours;
+        else
+            energy.imported += power * hours;
+        for (let device of devices) {
+            device.energy_today += device_power(device) * hours;
+        }
+    }
+    last_energy_update = now;
+    let day = day_of(now);
+    if (energy.day != day) {
+        if (energy.day != -1)
+            publish_energy(true);
+        energy = { day: day, exported: 0, imported: 0 };
+        for (let device of devices) {
+            device.energy_today = 0;
+        }
+    }
+}
+
+// on-time in seconds and energy in Wh of every device, and the exported, imported and diverted energy of the day
+function energy_summary() {
+    let summary = { day: energy.day, exported: Math.round(energy.exported), imported: Math.round(energy.imported), diverted: 0, devices: {} };
+    for (let device of devices) {
+        summary.diverted += device.energy_today;
+        summary.devices[device.name] = { on_time: Math.round(device.runtime_today), energy: Math.round(device.energy_today) };
+    }
+    summary.diverted = Math.round(summary.diverted);
+    return summary;
+}
+
+function kwh(wh) {
+    return (Math.round(wh / 100) / 10) + "kWh";
+}
+
+// line protocol has to escape spaces, commas and equal signs in tags
+function influx_tag(value) {
+    return value.split(" ").join("\\ ").split(",").join("\\,").split("=").join("\\=");
+}
+
+function influx_lines(summary) {
+    let time = " " + Math.round(Date.now() / 1000) + "000000000";
+    let lines = ["load_shedding exported=" + summary.exported + ",imported=" + summary.imported + ",diverted=" + summary.diverted + time];
+    for (let name in summary.devices) {
+        let device = summary.devices[name];
+        lines.push("load_shedding,device=" + influx_tag(name) + " on_time=" + device.on_time + "i,energy=" + device.energy + time);
+    }
+    return lines.join("\n");
+}
+
+// publishes the counters of the current day to <topicPrefix>energy. The final one of a day goes to <topicPrefix>report and is also logged
+function publish_energy(final) {
+    let summary = energy_summary();
+    if (final) {
+        let msg = "Energy on " + summary.day + ": diverted " + kwh(summary.diverted) + ", exported " + kwh(summary.exported) + ", imported " + kwh(summary.imported);
+        for (let name in summary.devices) {
+            let device = summary.devices[name];
+            if (device.on_time > 0)
+                msg += ", " + name + " " + kwh(device.energy) + " in " + Math.round(device.on_time / 60) + "min";
+        }
+        log.report(msg);
+    }
+    if (logging.mqtt.enabled) {
+        let message = energy_report.format == "influx" ? influx_lines(summary) : JSON.stringify(summary);
+        MQTT.publish(logging.mqtt.topicPrefix + (final ? "report" : "energy"), message, 0, final);
+    }
+}
+
+// adds up how long each device was on today, the counters are reset at midnight
+function update_runtime(now) {
+    let day = day_of(now);
+    if (runtime_day != day) {
+        runtime_day = day;
+        for (let device of devices) {
+            device.runtime_today = 0;
+        }
+    } else if (last_runtime_update) {
+        for (let device of devices) {
+            if (device.presumed_state == "on")
+                device.runtime_today += (now - last_runtime_update) / 1000;
+        }
+    }
+    last_runtime_update = now;
+}
+
+// returns the state a device has to stay in and why, or null if it may be switched
+function device_lock(device, now) {
+    if (def(device.override))
+        return { turned: device.override, reason: "manual override" };
+    let state = device.presumed_state;
+    if (state != "on" && state != "off") return schedule_lock(device, now);
+    if (def(device.last_switch)) {
+        let minTime = state == "on" ? device.minOnTime : device.minOffTime;
+        let left = def(minTime) ? Math.ceil(minTime - (now - device.last_switch) / 1000) : 0;
+        if (left > 0)
+            return { turned: state, reason: (state == "on" ? "minOnTime" : "minOffTime") + ", " + left + "s left" };
+    }
+    if (def(device.maxSwitchesPerHour)) {
+        let count = 0;
+        for (let t of device.switch_times) {
+            if (t > now - 3600 * 1000) count++;
+        }
+        if (count >= device.maxSwitchesPerHour)
+            return { turned: state, reason: "maxSwitchesPerHour, switched " + count + " times in the last hour" };
+    }
+    return schedule_lock(device, now);
+}
+
+// turns a device on from the grid if it can't reach its minRuntime by the deadline otherwise, and keeps it off outside its windows
+function schedule_lock(device, now) {
+    if (def(device.minRuntime)) {
+        let missing = device.minRuntime * 60 - device.runtime_today;
+        let left = parse_time(def(device.runtimeDeadline) ? device.runtimeDeadline : "23:59") - seconds_of_day(now);
+        if (missing > 0 && missing >= left) {
+            // after an emergency, not even minRuntime turns a device on
+            if (now < emergency_until && device.presumed_state != "on")
+                return { turned: "off", reason: "emergency cooldown" };
+            return { turned: "on", reason: "minRuntime, " + Math.ceil(missing / 60) + "min missing", forced: true };
+        }
+    }
+    if (!in_windows(device, now))
+        return { turned: "off", reason: "outside of its time windows" };
+    return null;
+}
+
+function apply_locks(deviceStates, locks) {
+    let missing = {};
+    for (let name in locks) {
+        missing[name] = true;
+    }
+    for (let deviceState of deviceStates) {
+        let lock = locks[deviceState.name];
+        if (lock && deviceState.turned != lock.turned)
+            deviceState.turned = lock.turned;
+        delete missing[deviceState.name];
+    }
+    // before the first state was applied, the current state doesn't list every device yet
+    for (let name in missing) {
+        deviceStates.push({ name: name, turned: locks[name].turned });
+    }
+}
+
+function expected_power_draw(deviceStates) {
+    let power = 0;
+    for (let deviceState of deviceStates) {
+        if (deviceState.turned === "on")
+            power += devices[device_name_index_map[deviceState.name]].expectedPower;
+    }
+    return power;
+}
+
+function learn_expected_power(device, apower) {
+    if (!expected_power_learning_rate || !def(device.expectedPower) || apower < expected_power_learning_min) return;
+    let learned = Math.round(device.expectedPower + (apower - device.expectedPower) * expected_power_learning_rate);
+    if (learned == device.expectedPower) return;
+    log.debug("Device " + device.name + " reported " + apower + "W, adjusting expected power from " + device.expectedPower + "W to " + learned + "W");
+    device.expectedPower = learned;
+    sort_devices();
+    current_expected_power_draw = expected_power_draw(current_desired_device_states);
+}
+
+function query_callback(result, deviceName) {
     in_flight--;
-    if (error_code != 0) {
-        log.warn("fail " + user_data);
-        // TBD: currently we don't have any retry logic
+    let device = devices[device_name_index_map[deviceName]];
+    if (!result || result.code !== 200) {
+        device_failed(device, "reading state failed" + (result ? " with HTTP " + result.code : ", no response"));
+        // fall back to resending the current command
+        device.requires_sync = true;
+        return;
+    }
+    device_answered(device);
+    let status;
+    try {
+        status = JSON.parse(result.body);
+    } catch (e) {
+        log.warn("Could not parse state of " + deviceName + ": " + result.body);
+        return;
+    }
+    let state = read_state(device, status);
+    update_state(device, state.output, state.apower);
+}
+
+// output and apower from the status a device reported, depending on its driver
+function read_state(device, status) {
+    let type = driver(device);
+    if (type == "tasmota") {
+        let power = status["POWER" + ((device.channel || 0) + 1)];
+        if (!def(power)) power = status.POWER;
+        return { output: def(power) ? power == "ON" : undefined };
+    }
+    if (type == "http") {
+        let value = json_path(status, device.state_path);
+        return { output: def(value) ? String(value) == String(def(device.state_on) ? device.state_on : true) : undefined };
+    }
+    if (device.gen == 1) {
+        let state = {};
+        if (def(status.relays) && def(status.relays[device.channel]))
+            state.output = status.relays[device.channel].ison;
+        if (def(status.meters) && def(status.meters[device.channel]))
+            state.apower = status.meters[device.channel].power;
+        return state;
+    }
+    return { output: status.output, apower: status.apower };
+}
+
+function update_state(device, output, apower) {
+    if (def(output)) {
+        let state = output ? "on" : "off";
+        if (device.presumed_state != state) {
+            log.info("Device " + device.name + " was found " + state + ", presumed " + device.presumed_state);
+            if (device.presumed_state != "unknown")
+                record_switch(device);
+        }
+        device.presumed_state = state;
+        device.requires_sync = false;
+    }
+    if (def(apower))
+        device.last_apower = apower;
+    if (def(apower) && device.presumed_state == "on")
+        learn_expected_power(device, apower);
+}
+
+function driver(device) {
+    if (def(device.driver)) return device.driver;
+    return def(device.gen) ? "shelly" : "url";
+}
+
+// Gen1 devices with a password use basic authentication. The credentials are encoded, so characters like @, : or # can't break the URL
+function shelly_url(device, path) {
+    let auth = device.gen == 1 && def(device.password) ? encodeURIComponent(device.user || "admin") + ":" + encodeURIComponent(device.password) + "@" : "";
+    return "http://" + auth + device.addr + "/" + path;
+}
+
+function tasmota_url(device, command) {
+    let url = "http://" + device.addr + "/cm?";
+    if (def(device.password))
+        url += "user=" + encodeURIComponent(device.user || "admin") + "&password=" + encodeURIComponent(device.password) + "&";
+    return url + "cmnd=Power" + ((device.channel || 0) + 1) + (command ? "%20" + command : "");
+}
+
+// replaces {state} (on/off), {on} (true/false) and {value} (1/0) in a template of the http driver
+function fill_template(template, dir) {
+    return template.split("{state}").join(dir).split("{on}").join(dir == "on" ? "true" : "false").split("{value}").join(dir == "on" ? "1" : "0");
+}
+
+function mqtt_payload(device, dir) {
+    if (dir == "on") return def(device.payload_on) ? device.payload_on : "ON";
+    return def(device.payload_off) ? device.payload_off : "OFF";
+}
+
+// state updates of devices with the mqtt driver, the payload is either payload_on/payload_off or JSON with it at state_path
+function mqtt_state(topic, message, deviceName) {
+    let device = devices[device_name_index_map[deviceName]];
+    let value = message;
+    if (def(device.state_path)) {
+        try {
+            value = json_path(JSON.parse(message), device.state_path);
+        } catch (e) {
+            value = undefined;
+        }
+    }
+    if (String(value) != mqtt_payload(device, "on") && String(value) != mqtt_payload(device, "off")) {
+        log.debug("Ignoring state " + message + " of " + device.name);
+        return;
+    }
+    device_answered(device);
+    update_state(device, String(value) == mqtt_payload(device, "on"));
+}
+
+function init_mqtt_devices() {
+    for (let device of devices) {
+        if (driver(device) == "mqtt" && def(device.state_topic))
+            MQTT.subscribe(device.state_topic, mqtt_state, device.name);
+    }
+}
+
+// SHA-256 of a string as hex, for the digest authentication of Gen2+ devices
+function sha256(text) {
+    let k = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+    ];
+    let h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    // UTF-8 encode
+    let bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        let c = text.charCodeAt(i);
+        if (c < 0x80) {
+            bytes.push(c);
+        } else if (c < 0x800) {
+            bytes.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+        } else {
+            bytes.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+        }
+    }
+    let length = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 != 56) bytes.push(0);
+    bytes.push(0, 0, 0, 0, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff);
+
+    let w = [];
+    for (let chunk = 0; chunk < bytes.length; chunk += 64) {
+        for (let i = 0; i < 16; i++) {
+            let j = chunk + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            let a = w[i - 15];
+            let b = w[i - 2];
+            let s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            let s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        let v = h.slice(0);
+        for (let i = 0; i < 64; i++) {
+            let e = v[4];
+            let a = v[0];
+            let t1 = (v[7] + (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))) + ((e & v[5]) ^ (~e & v[6])) + k[i] + w[i]) | 0;
+            let t2 = ((((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))) + ((a & v[1]) ^ (a & v[2]) ^ (v[1] & v[2]))) | 0;
+            v.splice(7, 1);
+            v.unshift((t1 + t2) | 0);
+            v[4] = (v[4] + t1) | 0;
+        }
+        for (let i = 0; i < 8; i++) {
+            h[i] = (h[i] + v[i]) | 0;
+        }
+    }
+    let hex = "";
+    for (let i = 0; i < 8; i++) {
+        for (let shift = 28; shift >= 0; shift -= 4) {
+            hex += "0123456789abcdef".charAt((h[i] >>> shift) & 0xf);
+        }
+    }
+    return hex;
+}
+
+// the value of key="value" in a WWW-Authenticate header
+function header_value(header, key) {
+    let start = header.indexOf(key + "=\"");
+    if (start < 0) return undefined;
+    start += key.length + 2;
+    return header.slice(start, header.indexOf("\"", start));
+}
+
+// reads the digest challenge of a 401 answer, from the JSON-RPC error or the WWW-Authenticate header
+function rpc_challenge(result, json) {
+    try {
+        let challenge = JSON.parse(json.error.message);
+        if (def(challenge.nonce)) return { realm: challenge.realm, nonce: challenge.nonce };
+    } catch (e) {
+        // not in the body, try the header
+    }
+    let header = result.headers ? result.headers["WWW-Authenticate"] || result.headers["www-authenticate"] : undefined;
+    if (!header || !def(header_value(header, "nonce"))) return null;
+    return { realm: header_value(header, "realm"), nonce: header_value(header, "nonce") };
+}
+
+// the auth object of a Gen2+ RPC request, see https://shelly-api-docs.shelly.cloud/gen2/General/Authentication
+function rpc_auth(device) {
+    let challenge = device.challenge;
+    let cnonce = "" + Math.floor(Math.random() * 1000000000);
+    let ha1 = sha256("admin:" + challenge.realm + ":" + device.password);
+    let ha2 = sha256("dummy_method:dummy_uri");
+    return {
+        realm: challenge.realm, username: "admin", nonce: challenge.nonce, cnonce: cnonce, algorithm: "SHA-256",
+        response: sha256(ha1 + ":" + challenge.nonce + ":1:" + cnonce + ":auth:" + ha2),
+    };
+}
+
+// calls a method on a password protected Gen2+ device. cb gets the same result as for a GET of /rpc/<method>
+function rpc_call(device, method, params, cb, userdata) {
+    rpc_send({ name: device.name, method: method, params: params, cb: cb, userdata: userdata, retried: false });
+}
+
+function rpc_send(call) {
+    let device = devices[device_name_index_map[call.name]];
+    let request = { id: 1, method: call.method, params: call.params };
+    if (device.challenge) request.auth = rpc_auth(device);
+    Call("HTTP.POST", { url: "http://" + device.addr + "/rpc", body: JSON.stringify(request), content_type: "application/json" }, rpc_callback, call);
+}
+
+// on 401, the request is sent once more with the new challenge, as the nonce of the last one may have expired
+function rpc_callback(result, call) {
+    let device = devices[device_name_index_map[call.name]];
+    let json = null;
+    if (result) {
+        try {
+            json = JSON.parse(result.body);
+        } catch (e) {
+            json = null;
+        }
+    }
+    if (result && (result.code == 401 || (json && json.error && json.error.code == 401))) {
+        let challenge = rpc_challenge(result, json);
+        if (challenge && !call.retried) {
+            device.challenge = challenge;
+            call.retried = true;
+            rpc_send(call);
+            return;
+        }
+        log.warn("Authentication at " + device.name + " failed, check its password");
+        result = { code: 401 };
+    } else if (json && def(json.result)) {
+        result = { code: 200, body: JSON.stringify(json.result) };
+    } else if (json && json.error) {
+        result = { code: json.error.code, body: result.body };
+    }
+    call.cb(result, call.userdata);
+}
+
+// reads back the actual state of a device. Devices that can't be read (only on_url/off_url, or http without state_url)
+// are synced by resending the command instead. Devices with the mqtt driver follow their state_topic
+function query_device(device) {
+    if (simulation.enabled || is_adjustable(device)) return false;
+    let type = driver(device);
+    let url;
+    if (type == "mqtt") {
+        return def(device.state_topic);
+    } else if (type == "tasmota") {
+        url = tasmota_url(device, "");
+    } else if (type == "http") {
+        if (!def(device.state_url)) return false;
+        url = device.state_url;
+    } else if (type == "shelly") {
+        if (device.gen != 1 && def(device.password)) {
+            rpc_call(device, device.type + ".GetStatus", { id: device.channel }, query_callback, device.name);
+            in_flight++;
+            return true;
+        }
+        url = shelly_url(device, device.gen == 1 ? "status" : "rpc/" + device.type + ".GetStatus?id=" + device.channel.toString());
     } else {
-        log.debug("success");
+        return false;
     }
+    Call("HTTP.GET", { url: url }, query_callback, device.name);
+    in_flight++;
+    return true;
 }
 
 function turn(deviceName, dir) {
@@ -111,6 +1062,16 @@ function turn(deviceName, dir) {
     }
     let device = devices[device_name_index_map[deviceName]];
     let cmd = "";
+    device.target_state = dir;
+    if (device.retry_at) {
+        log.debug("Device " + device.name + " is waiting for a retry");
+        return;
+    }
+    if (device.unreachable) {
+        // only try once per full sync whether the device answers again
+        if (!device.requires_sync) return;
+        device.requires_sync = false;
+    }
     if (dir == "on" && device.presumed_state == "on")
         verifying = true;
     else
@@ -128,6 +1089,8 @@ function turn(deviceName, dir) {
         log.debug("Turn " + device.name + " " + dir);
     }
 
+    if (device.presumed_state != dir)
+        record_switch(device);
     device.presumed_state = dir;
     let on = dir == "on" ? "true" : "false";
 
@@ -138,58 +1101,323 @@ function turn(deviceName, dir) {
 
     if (simulation.enabled) return;
 
-    if (def(device.gen)) {
+    let type = driver(device);
+    let user_data = { name: device.name, dir: dir };
+    if (type == "shelly" && device.gen != 1 && def(device.password)) {
+        rpc_call(device, device.type + ".Set", { id: device.channel, on: dir == "on" }, callback, user_data);
+        in_flight++;
+    } else if (type == "shelly") {
         if (device.gen == 1)
             cmd = device.type + "/" + device.channel.toString() + "?turn=" + dir
         else
             cmd = "rpc/" + device.type + ".Set?id=" + device.channel.toString() + "&on=" + on
-        Call("HTTP.GET", { url: "http://" + device.addr + "/" + cmd }, callback, "turn " + dir + " " + device.name);
+        Call("HTTP.GET", { url: shelly_url(device, cmd) }, callback, user_data);
+        in_flight++;
+    } else if (type == "tasmota") {
+        Call("HTTP.GET", { url: tasmota_url(device, dir == "on" ? "On" : "Off") }, callback, user_data);
+        in_flight++;
+    } else if (type == "mqtt") {
+        in_flight++;
+        callback(MQTT.publish(device.command_topic, mqtt_payload(device, dir)) ? { code: 200 } : undefined, user_data);
+    } else if (type == "http") {
+        let request = { method: device.method || "GET", url: fill_template(device.url, dir), headers: {} };
+        for (let key in device.headers) {
+            request.headers[key] = fill_template(device.headers[key], dir);
+        }
+        if (def(device.body)) request.body = fill_template(device.body, dir);
+        Call("HTTP.Request", request, callback, user_data);
         in_flight++;
     }
     if (def(device.on_url) && dir == "on") {
-        Call("HTTP.GET", { url: device.on_url }, callback, "turn on " + device.name);
+        Call("HTTP.GET", { url: device.on_url }, callback, { name: device.name, dir: "on" });
         in_flight++;
     }
     if (def(device.off_url) && dir == "off") {
-        Call("HTTP.GET", { url: device.off_url }, callback, "turn off " + device.name);
+        Call("HTTP.GET", { url: device.off_url }, callback, { name: device.name, dir: "off" });
         in_flight++;
     }
 }
 
+function setpoint_url(device, power) {
+    let value;
+    if (def(device.steps)) {
+        value = 0;
+        for (let i = 0; i < device.steps.length; i++) {
+            if (device.steps[i] == power) value = i + 1;
+        }
+    } else {
+        value = Math.round(power * (def(device.setpointScale) ? device.setpointScale : 1));
+    }
+    if (def(device.setpoint_url)) {
+        if (power == 0 && def(device.off_url)) return device.off_url;
+        return device.setpoint_url.replace("{value}", value.toString());
+    }
+    let brightness = Math.round(power / device.maxPower * 100);
+    let cmd = "";
+    if (device.gen == 1)
+        cmd = device.type + "/" + device.channel.toString() + (power > 0 ? "?turn=on&brightness=" + brightness.toString() : "?turn=off");
+    else
+        cmd = "rpc/" + device.type + ".Set?id=" + device.channel.toString() + (power > 0 ? "&on=true&brightness=" + brightness.toString() : "&on=false");
+    return shelly_url(device, cmd);
+}
+
+// the power an adjustable device can take out of the available power
+function setpoint_for(device, available) {
+    if (def(device.steps)) {
+        let power = 0;
+        for (let step of device.steps) {
+            if (step <= available && step > power) power = step;
+        }
+        return power;
+    }
+    let minPower = def(device.minPower) ? device.minPower : 0;
+    if (available <= 0 || available < minPower) return 0;
+    return Math.floor(Math.min(available, device.maxPower));
+}
+
+function set_power(deviceName, power) {
+    let device = devices[device_name_index_map[deviceName]];
+    device.target_power = power;
+    if (device.retry_at) {
+        log.debug("Device " + device.name + " is waiting for a retry");
+        return;
+    }
+    if (device.unreachable) {
+        // only try once per full sync whether the device answers again
+        if (!device.requires_sync) return;
+        device.requires_sync = false;
+    }
+    let presumed = device.presumed_power;
+    if (def(presumed) && (power > 0) == (presumed > 0) && Math.abs(power - presumed) < setpoint_deadband) {
+        if (!device.requires_sync) return;
+        log.debug("Device " + device.name + " is presumed to already be at " + presumed + "W, but will be synced anyway");
+    } else {
+        log.debug("Set " + device.name + " to " + power + "W");
+    }
+    device.requires_sync = false;
+    device.presumed_power = power;
+    device.presumed_state = power > 0 ? "on" : "off";
+
+    if (logging.mqtt.enabled) {
+        let topic = logging.mqtt.topicPrefix + deviceName + "/power";
+        MQTT.publish(topic, "" + power);
+    }
+
+    if (simulation.enabled) return;
+
+    Call("HTTP.GET", { url: setpoint_url(device, power) }, callback, { name: device.name, dir: device.presumed_state, power: power });
+    in_flight++;
+}
+
+// hands the surplus left over by the relays to the adjustable devices, in order of priority
+function adjust_loads(currentPower, phaseBudgets, opportunisticPower) {
+    // keep still while an opportunistic device is measured
+    if (probe) return;
+    let available = -currentPower - power_headroom - current_expected_power_draw - opportunisticPower;
+    let phases = null;
+    if (phaseBudgets) {
+        phases = Object.assign({}, phaseBudgets);
+        for (let deviceState of current_desired_device_states) {
+            let device = devices[device_name_index_map[deviceState.name]];
+            if (deviceState.turned === "on") take_phases(device, device.expectedPower, phases);
+        }
+    }
+    let setpoints = [];
+    for (let device of adjustable_devices) {
+        let power = 0;
+        let limit = available;
+        if (phases) {
+            for (let phase in phases) {
+                let share = phase_share(device, phase);
+                if (share > 0) limit = Math.min(limit, phases[phase] / share);
+            }
+        }
+        if (def(device.override))
+            power = device.override == "on" ? device.maxPower || device.steps[device.steps.length - 1] : 0;
+        else if (!device.unreachable && in_windows(device, Date.now()))
+            power = setpoint_for(device, limit);
+        // no step up during the cooldown of an emergency
+        if (Date.now() < emergency_until && !def(device.override))
+            power = Math.min(power, device.presumed_power || 0);
+        available -= power;
+        take_phases(device, power, phases);
+        set_power(device.name, power);
+        setpoints.push(device.name + ":" + power + "W");
+    }
+    if (setpoints.length > 0)
+        log.debug("Adjustable devices: [" + setpoints.join(", ") + "]");
+}
+
+// turns devices off right away while the import is above an emergency limit, opportunistic and adjustable devices first, then the others in
+// reverse order of priority. The meter doesn't see the controlled devices, so their draw is added to the reading.
+// Returns the names of the devices turned off
+function emergency_shed(now) {
+    if (!emergency.import_limit && !emergency.phase_import_limit) return [];
+    let total = total_power() - metered_power();
+    let phases = {};
+    if (emergency.phase_import_limit) {
+        for (let phase of Pro3EM_channels) {
+            if (def(channel_power[phase])) phases[phase] = -phase_surplus(phase);
+        }
+    }
+    let loads = [];
+    for (let i = opportunistic_devices.length - 1; i >= 0; i--) {
+        let device = opportunistic_devices[i];
+        if (device.target_state == "on")
+            loads.push({ device: device, power: device.observed_power || 0 });
+    }
+    for (let i = adjustable_devices.length - 1; i >= 0; i--) {
+        let device = adjustable_devices[i];
+        if (device.presumed_power > 0)
+            loads.push({ device: device, power: device.presumed_power });
+    }
+    for (let i = sorted_devices.length - 1; i >= 0; i--) {
+        let device = sorted_devices[i];
+        for (let deviceState of current_desired_device_states) {
+            if (deviceState.name == device.name && deviceState.turned == "on")
+                loads.push({ device: device, power: device.expectedPower, state: deviceState });
+        }
+    }
+    for (let load of loads) {
+        total += load.power;
+        for (let phase in phases) {
+            phases[phase] += load.power * phase_share(load.device, phase);
+        }
+    }
+
+    let shed = [];
+    let exceeded = "";
+    for (let load of loads) {
+        let over = emergency.import_limit && total > emergency.import_limit;
+        if (over && !exceeded) exceeded = "total import " + Math.round(total) + "W";
+        for (let phase in phases) {
+            if (phases[phase] > emergency.phase_import_limit && phase_share(load.device, phase) > 0) {
+                over = true;
+                if (!exceeded) exceeded = "import of " + Math.round(phases[phase]) + "W on phase " + phase;
+            }
+        }
+        if (!over || def(load.device.override)) continue;
+        total -= load.power;
+        for (let phase in phases) {
+            phases[phase] -= load.power * phase_share(load.device, phase);
+        }
+        if (load.state)
+            load.state.turned = "off";
+        if (is_adjustable(load.device))
+            set_power(load.device.name, 0);
+        else
+            turn(load.device.name, "off");
+        if (probe && probe.device == load.device)
+            probe = null;
+        shed.push(load.device.name);
+    }
+    if (shed.length == 0) return shed;
+
+    emergency_until = now + emergency.cooldown * 1000;
+    pending_states = {};
+    current_expected_power_draw = expected_power_draw(current_desired_device_states);
+    let msg = "Emergency: " + exceeded + " above the limit, turned off " + shed.join(", ");
+    log.error(msg);
+    if (logging.mqtt.enabled)
+        MQTT.publish(logging.mqtt.topicPrefix + "alert", JSON.stringify({ time: Math.round(now / 1000), message: msg, shed: shed }));
+    return shed;
+}
+
 function check_power(msg) {
     if (!def(msg)) return;
-    if (def(msg.delta)) {
-        if (def(msg.delta.apower) && msg.id in Pro4PM_channels)
+    if (power_source.type == "local" && def(msg.delta)) {
+        let updated = false;
+        if (def(msg.delta.apower) && msg.id in Pro4PM_channels) {
             channel_power[msg.id] = msg.delta.apower;
-        if (def(msg.delta.a_act_power))
+            updated = true;
+        }
+        if (def(msg.delta.a_act_power)) {
             for (let k in Pro3EM_channels)
                 channel_power[Pro3EM_channels[k]] = msg.delta[Pro3EM_channels[k] + '_act_power'];
+            updated = true;
+        }
+        if (updated)
+            add_power_sample(total_power());
     }
-    let currentPower = total_power();
+    let now = Date.now();
+    watch_power_source(now);
+    watch_battery(now);
+    let currentPower = battery_power(source_power(current_power() - metered_power(), now), now);
+    if (battery.source != "none")
+        log.debug("Battery: " + battery_state.soc + "%, " + battery_state.power + "W");
     log.info("Current power: " + currentPower + "W, headroom: " + power_headroom + "W, previous expected power draw: " + current_expected_power_draw + "W");
     // log.info("in_flight: " + in_flight);
+    if (controller_paused) {
+        log.debug("Controller is paused");
+        last_energy_update = 0;
+        return;
+    }
+
+    update_energy(now);
+    update_runtime(now);
+
+    // devices that are not allowed to switch right now are kept as they are, also in the current state
+    let locks = {};
+    let cooldown = now < emergency_until;
+    for (let device of sorted_devices) {
+        let lock = device_lock(device, now);
+        if (lock) {
+            locks[device.name] = lock;
+            log.debug("Device " + device.name + " is locked " + lock.turned + ": " + lock.reason);
+        }
+        let forced = lock && lock.forced;
+        if (forced && !device.forced)
+            log.info("Turning on " + device.name + " from the grid to reach its minRuntime of " + device.minRuntime + "min");
+        device.forced = forced;
+    }
+    apply_locks(current_desired_device_states, locks);
+    current_expected_power_draw = expected_power_draw(current_desired_device_states);
 
+    for (let name of emergency_shed(now)) {
+        locks[name] = { turned: "off", reason: "emergency shedding" };
+        cooldown = true;
+    }
 
     // The actual decision making
     let newDesiredDeviceStates = [];
     let newExpectedPowerDraw = 0;
     let remainingPower = currentPower;
     for (let device of devices) {
-        newDesiredDeviceStates.push({ name: device.name, turned: "off" });
+        if (!is_adjustable(device) && !is_opportunistic(device))
+            newDesiredDeviceStates.push({ name: device.name, turned: "off" });
     }
+    let fixed = [];
+    let candidates = [];
+    let budget = -remainingPower - power_headroom;
+    let phaseBudgets = phase_budgets();
+    let phases = phaseBudgets ? Object.assign({}, phaseBudgets) : null;
     for (let device of sorted_devices) {
-        if (remainingPower + device.expectedPower <= -power_headroom) {
-            let deviceState;
-            for (let i in newDesiredDeviceStates) {
-                if (newDesiredDeviceStates[i].name === device.name) {
-                    deviceState = newDesiredDeviceStates[i];
-                    break;
-                }
+        if (device.unreachable) continue;
+        let lock = locks[device.name];
+        if (!lock) {
+            candidates.push(device);
+        } else if (lock.turned == "on") {
+            fixed.push(device);
+            budget -= device.expectedPower;
+            take_phases(device, device.expectedPower, phases);
+        }
+    }
+    let chosen;
+    if (allocation_mode === "bestfit")
+        chosen = allocate_best_fit(candidates, budget, phases);
+    else
+        chosen = allocate_greedy(candidates, budget, phases);
+    for (let device of fixed.concat(chosen)) {
+        let deviceState;
+        for (let i in newDesiredDeviceStates) {
+            if (newDesiredDeviceStates[i].name === device.name) {
+                deviceState = newDesiredDeviceStates[i];
+                break;
             }
-            deviceState.turned = "on";
-            remainingPower += device.expectedPower;
-            newExpectedPowerDraw += device.expectedPower;
         }
+        deviceState.turned = "on";
+        remainingPower += device.expectedPower;
+        newExpectedPowerDraw += device.expectedPower;
     }
 
     if (log.isDebug()) {
@@ -202,7 +1430,7 @@ function check_power(msg) {
     // once a timer finishes, apply desired device states and remove from list  
 
     if (current_expected_power_draw != newExpectedPowerDraw) {
-        if (newExpectedPowerDraw > current_expected_power_draw) {
+        if (newExpectedPowerDraw > current_expected_power_draw && !cooldown) {
             if (!pending_states[newExpectedPowerDraw]) {
                 pending_states[newExpectedPowerDraw] = { activationTime: Date.now() + power_increase_threshold_duration * 1000, direction: "stepUp", expectedPowerDraw: newExpectedPowerDraw, desiredDeviceStates: newDesiredDeviceStates };
             }
@@ -216,16 +1444,22 @@ function check_power(msg) {
     }
 
     let appliedAnyState = false;
-    let now = Date.now();
+    let phaseMargin = power_hysteresis_span / 6; // half of the span, split over the phases
     for (let key in pending_states) {
         let state = pending_states[key];
         // TODO only check for hysteresis here, or already when storing the state?
 
         // check if the pending state is stil valid
-        if ( (state.direction == "stepUp" && state.expectedPowerDraw <= newExpectedPowerDraw && state.expectedPowerDraw + power_headroom + (power_hysteresis_span/2) <= (-currentPower) ) 
-            || (state.direction == "stepDown" && state.expectedPowerDraw >= newExpectedPowerDraw && state.expectedPowerDraw + power_headroom - (power_hysteresis_span/2) <= (-currentPower) ) ) {
+        // a step down stays valid as long as the power is too low for the current state, even if it is also too low for the pending one.
+        // With phase budgets, a single phase without enough power is enough for a step down
+        if ( (state.direction == "stepUp" && state.expectedPowerDraw <= newExpectedPowerDraw && state.expectedPowerDraw + power_headroom + (power_hysteresis_span/2) <= (-currentPower)
+                && phases_fit(state.desiredDeviceStates, phaseBudgets, phaseMargin) )
+            || (state.direction == "stepDown" && state.expectedPowerDraw >= newExpectedPowerDraw && (current_expected_power_draw + power_headroom - (power_hysteresis_span/2) > (-currentPower)
+                || !phases_fit(current_desired_device_states, phaseBudgets, -phaseMargin) ) ) ) {
             // if the state has been valid long enough, apply it. Otherwise do nothing
             if (state.activationTime <= now) {
+                // the state may have been calculated before some devices got locked
+                apply_locks(state.desiredDeviceStates, locks);
                 current_expected_power_draw = state.expectedPowerDraw;
                 current_desired_device_states = state.desiredDeviceStates;
                 for (let deviceState of state.desiredDeviceStates) {
@@ -249,6 +1483,12 @@ function check_power(msg) {
         }
     }
 
+    let idle = !cooldown && chosen.length == candidates.length && newExpectedPowerDraw == current_expected_power_draw;
+    for (let key in pending_states) {
+        idle = false;
+    }
+    adjust_loads(currentPower, phaseBudgets, check_opportunistic(currentPower, now, idle));
+
     if (logging.mqtt.enabled) {
         let topic = logging.mqtt.topicPrefix + "expected-power";
         let message = "" + current_expected_power_draw;
@@ -258,6 +1498,179 @@ function check_power(msg) {
 
 }
 
+// devices without expectedPower. When idle, i.e. every other device is on and nothing is pending, they are turned on one at a time,
+// and after opportunistic_settle_time their draw is measured: apower if the device reports it, otherwise the drop of the surplus (see metered_power).
+// The device is only kept on if that fits into the surplus that was left. Returns the draw of the ones that are on
+function check_opportunistic(currentPower, now, idle) {
+    let leftover = -currentPower - power_headroom - current_expected_power_draw;
+    let draw = 0;
+    let on = [];
+    let off = [];
+    for (let device of opportunistic_devices) {
+        let lock = device_lock(device, now);
+        let dir = lock ? lock.turned : def(device.target_state) ? device.target_state : device.presumed_state == "on" ? "on" : "off";
+        turn(device.name, dir);
+        if (dir == "on" && !device.unreachable && (!probe || probe.device != device))
+            draw += device.observed_power || 0;
+        if (lock || device.unreachable) continue;
+        if (dir == "on")
+            on.push(device);
+        else if (!device.unmeasurable)
+            off.push(device);
+    }
+    leftover -= draw;
+
+    if (probe) {
+        let device = probe.device;
+        if (now < probe.until) return draw;
+        if (!probe.queried) {
+            probe.queried = now;
+            device.last_apower = undefined;
+            query_device(device);
+            return draw;
+        }
+        // give the device a few seconds to answer
+        if (!def(device.last_apower) && now < probe.queried + 5000) return draw;
+        let metered = !def(device.last_apower);
+        let measured = Math.max(0, Math.round(metered ? probe.surplus + currentPower : device.last_apower));
+        let allowed = probe.leftover;
+        probe = null;
+        if (metered && measured < expected_power_learning_min) {
+            log.warn("Turning " + device.name + " off, its draw can't be measured: it doesn't report apower and the power reading didn't change. The meter has to see the device");
+            device.unmeasurable = true;
+            turn(device.name, "off");
+            return draw;
+        }
+        device.observed_power = measured;
+        device.metered = metered;
+        if (measured <= allowed) {
+            log.info("Keeping " + device.name + " on, it draws " + measured + "W");
+            return draw + measured;
+        }
+        log.info("Turning " + device.name + " off again, it draws " + measured + "W, but only " + Math.round(allowed) + "W were left");
+        turn(device.name, "off");
+        return draw;
+    }
+
+    // the last one that was turned on goes first
+    if (leftover < 0 && on.length > 0) {
+        if (!opportunistic_short_since) opportunistic_short_since = now;
+        if (now - opportunistic_short_since >= power_decrease_threshold_duration * 1000) {
+            let device = on[on.length - 1];
+            log.info("Turning off " + device.name + ", " + Math.round(-leftover) + "W short");
+            turn(device.name, "off");
+            draw -= device.observed_power || 0;
+            opportunistic_short_since = 0;
+        }
+    } else {
+        opportunistic_short_since = 0;
+    }
+
+    let next = null;
+    for (let device of off) {
+        if (!next && (device.observed_power || 0) + power_hysteresis_span / 2 < leftover)
+            next = device;
+    }
+    if (idle && next) {
+        if (!opportunistic_since) opportunistic_since = now;
+        if (now - opportunistic_since >= power_increase_threshold_duration * 1000) {
+            log.info("Trying " + next.name + " with " + Math.round(leftover) + "W left");
+            probe = { device: next, surplus: -currentPower, leftover: leftover, until: now + opportunistic_settle_time * 1000, queried: 0 };
+            turn(next.name, "on");
+            opportunistic_since = 0;
+        }
+    } else {
+        opportunistic_since = 0;
+    }
+    return draw;
+}
+
+// takes every device that still fits, in order of priority and expected power.
+// phases is null or the power left on every phase, see phase_budgets
+function allocate_greedy(candidates, budget, phases) {
+    phases = phases ? Object.assign({}, phases) : null;
+    let chosen = [];
+    for (let device of candidates) {
+        if (device.expectedPower <= budget && fits_phases(device, device.expectedPower, phases)) {
+            chosen.push(device);
+            budget -= device.expectedPower;
+            take_phases(device, device.expectedPower, phases);
+        }
+    }
+    return chosen;
+}
+
+// picks the combination of devices that fills the budget best. Priority levels are filled one after another, highest first,
+// so a lower priority device never gets power a higher priority device could use
+function allocate_best_fit(candidates, budget, phases) {
+    phases = phases ? Object.assign({}, phases) : null;
+    let chosen = [];
+    let start = 0;
+    while (start < candidates.length) {
+        let end = start + 1;
+        while (end < candidates.length && device_priority(candidates[end]) === device_priority(candidates[start]))
+            end++;
+        let group = best_fit_subset(candidates.slice(start, end), budget, phases);
+        for (let device of group) {
+            chosen.push(device);
+            budget -= device.expectedPower;
+            take_phases(device, device.expectedPower, phases);
+        }
+        start = end;
+    }
+    return chosen;
+}
+
+// depth first search over all subsets, largest devices first, so the first subset found is the greedy one.
+// Branches that can't beat the best subset so far are skipped, and the search gives up after bestfit_max_iterations steps
+function best_fit_subset(group, budget, phases) {
+    phases = phases ? Object.assign({}, phases) : null;
+    let remaining = [];   // remaining[i] is the power of all devices from i on
+    let sum = 0;
+    for (let i = group.length - 1; i >= 0; i--) {
+        sum += group[i].expectedPower;
+        remaining[i] = sum;
+    }
+    remaining[group.length] = 0;
+
+    let best = [];
+    let bestPower = 0;
+    let stack = [];
+    let power = 0;
+    let i = 0;
+    let iterations = 0;
+    while (true) {
+        if (i < group.length && power + remaining[i] > bestPower && iterations < bestfit_max_iterations) {
+            iterations++;
+            if (power + group[i].expectedPower <= budget && fits_phases(group[i], group[i].expectedPower, phases)) {
+                stack.push(i);
+                power += group[i].expectedPower;
+                take_phases(group[i], group[i].expectedPower, phases);
+                if (power > bestPower) {
+                    bestPower = power;
+                    best = stack.slice(0);
+                    if (bestPower == budget) break;
+                }
+            }
+            i++;
+        } else {
+            if (stack.length == 0) break;
+            let last = stack.pop();
+            power -= group[last].expectedPower;
+            take_phases(group[last], -group[last].expectedPower, phases);
+            i = last + 1;
+        }
+    }
+    if (iterations >= bestfit_max_iterations)
+        log.debug("Best fit search stopped after " + iterations + " iterations");
+
+    let chosen = [];
+    for (let k of best) {
+        chosen.push(group[k]);
+    }
+    return chosen;
+}
+
 function formatDeviceStates(deviceStates) {
     let states = "[";
     for (let i = 0; i < deviceStates.length; i++) {
@@ -274,8 +1687,22 @@ function def(o) {
     return typeof o !== "undefined";
 }
 
+function is_adjustable(device) {
+    return def(device.maxPower) || def(device.steps);
+}
+
+function is_opportunistic(device) {
+    return !is_adjustable(device) && !def(device.expectedPower);
+}
+
+function device_priority(device) {
+    return def(device.priority) ? device.priority : 0;
+}
+
 function compareDevices(a, b) {
-    if (def(a) && def(b) && def(a.expectedPower) && def(b.expectedPower)) {
+    if (device_priority(a) != device_priority(b)) {
+        return device_priority(b) - device_priority(a);
+    } else if (def(a) && def(b) && def(a.expectedPower) && def(b.expectedPower)) {
         return b.expectedPower - a.expectedPower;
     } else if (def(a.expectedPower)) {
         return -1;
@@ -343,6 +1770,10 @@ log = {
             this._log(msg, "TRACE");
         }
     },
+    // reports are sent no matter the level
+    report: function (msg) {
+        this._log(msg, "REPORT");
+    },
     _log: function (msg, level) {
         print(scriptN + " [" + level + "]: " + msg);
 
@@ -362,23 +1793,429 @@ log = {
     }
 };
 
+// converts the value of a setting, returns undefined if the setting is unknown or the value invalid or out of its range
+function setting_value(name, value) {
+    let setting = runtime_settings[name];
+    if (!def(setting)) return undefined;
+    if (setting.type == "number") {
+        if (typeof value == "string" ? value.trim() == "" : typeof value != "number") return undefined;
+        value = Number(value);
+        if (!isFinite(value)) return undefined;
+        if ((def(setting.min) && value < setting.min) || (def(setting.max) && value > setting.max)) return undefined;
+    } else if (setting.type == "boolean") {
+        if (value !== true && value !== false && value !== "true" && value !== "false") return undefined;
+        value = value === true || value === "true";
+    } else if (setting.type == "level") {
+        if (value != "error" && value != "warn" && value != "info" && value != "debug" && value != "trace") return undefined;
+    }
+    return value;
+}
+
+// converts the value and applies the setting, returns false if the setting is unknown or the value invalid
+function apply_setting(name, value) {
+    value = setting_value(name, value);
+    if (!def(value)) return false;
+    runtime_settings[name].set(value);
+    changed_settings[name] = value;
+    log.info("Setting " + name + " changed to " + value);
+    publish_setting(name);
+    save_state();
+    return true;
+}
+
+// mode is "on" or "off" to override the device, "auto" to hand it back to the controller
+function set_override(deviceName, mode) {
+    if (!def(device_name_index_map[deviceName])) return false;
+    if (mode != "on" && mode != "off" && mode != "auto") return false;
+    let device = devices[device_name_index_map[deviceName]];
+    device.override = mode == "auto" ? undefined : mode;
+    log.info("Device " + deviceName + " set to " + mode);
+    publish_override(device);
+    save_state();
+    return true;
+}
+
+function publish_setting(name) {
+    if (!mqtt_control.enabled) return;
+    MQTT.publish(logging.mqtt.topicPrefix + "state/" + name, "" + runtime_settings[name].get(), 0, true);
+}
+
+function publish_override(device) {
+    if (!mqtt_control.enabled) return;
+    MQTT.publish(logging.mqtt.topicPrefix + device.name + "/mode", def(device.override) ? device.override : "auto", 0, true);
+}
+
+// <topicPrefix>set/<setting> changes a setting, <topicPrefix><device>/set overrides a device
+function mqtt_command(topic, message) {
+    let path = topic.slice(logging.mqtt.topicPrefix.length).split("/");
+    let ok = false;
+    if (path[0] == "set")
+        ok = apply_setting(path[1], message);
+    else if (path[1] == "set")
+        ok = set_override(path[0], message);
+    if (!ok)
+        log.warn("Ignoring invalid MQTT command '" + message + "' on " + topic);
+}
+
+// Home Assistant only allows letters, digits, _ and - in ids
+function mqtt_id(name) {
+    let id = "";
+    for (let i = 0; i < name.length; i++) {
+        let c = name.charAt(i);
+        id += (c >= "a" && c <= "z") || (c >= "A" && c <= "Z") || (c >= "0" && c <= "9") || c == "-" ? c : "_";
+    }
+    return id;
+}
+
+function publish_discovery_entity(component, objectId, config) {
+    let node = mqtt_id(info.id + "-" + scriptN);
+    config.unique_id = node + "_" + objectId;
+    config.device = { identifiers: [node], name: scriptN };
+    MQTT.publish(mqtt_control.discoveryPrefix + "/" + component + "/" + node + "/" + objectId + "/config", JSON.stringify(config), 0, true);
+}
+
+function publish_discovery() {
+    let prefix = logging.mqtt.topicPrefix;
+    for (let device of devices) {
+        let id = mqtt_id(device.name);
+        publish_discovery_entity("select", id + "_mode", { name: device.name + " mode", options: ["auto", "on", "off"], command_topic: prefix + device.name + "/set", state_topic: prefix + device.name + "/mode" });
+        if (logging.mqtt.enabled)
+            publish_discovery_entity("binary_sensor", id + "_on", { name: device.name, state_topic: prefix + device.name + "/on", payload_on: "true", payload_off: "false" });
+    }
+    for (let name in runtime_settings) {
+        let config = { name: name, command_topic: prefix + "set/" + name, state_topic: prefix + "state/" + name };
+        let component = "number";
+        if (runtime_settings[name].type == "boolean") {
+            component = "switch";
+            config.payload_on = "true";
+            config.payload_off = "false";
+        } else if (runtime_settings[name].type == "level") {
+            component = "select";
+            config.options = ["error", "warn", "info", "debug", "trace"];
+        } else {
+            config.min = def(runtime_settings[name].min) ? runtime_settings[name].min : -100000;
+            config.max = def(runtime_settings[name].max) ? runtime_settings[name].max : 100000;
+            config.mode = "box";
+        }
+        publish_discovery_entity(component, name, config);
+    }
+    if (logging.mqtt.enabled)
+        publish_discovery_entity("sensor", "expected_power", { name: "expected power", state_topic: prefix + "expected-power", unit_of_measurement: "W", device_class: "power" });
+}
+
+// (re)announces everything, as retained messages are lost if the broker restarts
+function mqtt_connected() {
+    if (mqtt_control.discovery)
+        publish_discovery();
+    for (let name in runtime_settings) {
+        publish_setting(name);
+    }
+    for (let device of devices) {
+        publish_override(device);
+    }
+}
+
+function init_mqtt_control() {
+    if (!mqtt_control.enabled) return;
+    MQTT.subscribe(logging.mqtt.topicPrefix + "set/+", mqtt_command);
+    MQTT.subscribe(logging.mqtt.topicPrefix + "+/set", mqtt_command);
+    MQTT.setConnectHandler(mqtt_connected);
+    if (MQTT.isConnected())
+        mqtt_connected();
+}
+
+// malformed escapes are kept as they are, so they just don't match any device, setting or token
+function url_decode(text) {
+    try {
+        return decodeURIComponent(text.split("+").join(" "));
+    } catch (e) {
+        return text;
+    }
+}
+
+function parse_query(query) {
+    let params = {};
+    if (!query) return params;
+    for (let pair of query.split("&")) {
+        let i = pair.indexOf("=");
+        if (i > 0)
+            params[url_decode(pair.slice(0, i))] = url_decode(pair.slice(i + 1));
+        else
+            params[url_decode(pair)] = "";
+    }
+    return params;
+}
+
+function http_state() {
+    let now = Date.now();
+    let state = {
+        power: current_power(),
+        available_power: battery_power(source_power(current_power() - metered_power(), now), now),
+        energy: energy_report.enabled ? energy_summary() : null,
+        battery: battery.source == "none" ? null : { soc: def(battery_state.soc) ? battery_state.soc : null, power: battery_state.power, lost: battery_is_lost(now) },
+        expected_power_draw: current_expected_power_draw,
+        paused: controller_paused,
+        pending_states: [],
+        devices: [],
+        settings: {},
+    };
+    for (let key in pending_states) {
+        let pending = pending_states[key];
+        state.pending_states.push({ expected_power_draw: pending.expectedPowerDraw, direction: pending.direction, remaining: Math.max(0, Math.ceil((pending.activationTime - now) / 1000)) });
+    }
+    for (let device of devices) {
+        let lock = is_adjustable(device) ? null : device_lock(device, now);
+        state.devices.push({
+            name: device.name,
+            presumed_state: device.presumed_state,
+            power: is_adjustable(device) ? device.presumed_power : is_opportunistic(device) ? device.observed_power : device.expectedPower,
+            priority: device_priority(device),
+            mode: def(device.override) ? device.override : "auto",
+            lock: lock ? lock.reason : null,
+            unreachable: device.unreachable,
+            last_error: def(device.last_error) ? device.last_error : null,
+        });
+    }
+    for (let name in runtime_settings) {
+        state.settings[name] = runtime_settings[name].get();
+    }
+    return state;
+}
+
+// without parameters, returns the state. ?token=<token>&device=<name>&mode=on|off|auto overrides a device, ?token=<token>&setting=<name>&value=<value> changes a setting
+function http_request(request, response) {
+    let params = parse_query(request.query);
+    response.headers = [["Content-Type", "application/json"]];
+    response.code = 200;
+    if (def(params.device) || def(params.setting)) {
+        if (http_api.token === "" || params.token !== http_api.token) {
+            log.warn("Refused unauthenticated HTTP request");
+            response.code = 401;
+        } else if (def(params.device) ? !set_override(params.device, params.mode) : !apply_setting(params.setting, params.value)) {
+            response.code = 400;
+        }
+    }
+    response.body = JSON.stringify(response.code == 200 ? http_state() : { error: response.code == 401 ? "invalid token" : "invalid request" });
+    response.send();
+}
+
+function init_http_api() {
+    if (!http_api.enabled) return;
+    let path = HTTPServer.registerEndpoint("load-shedding", http_request);
+    log.info("Serving state on " + path);
+}
+
+function kvs_key(name) {
+    return "ls/" + kvs_version + "/" + name;
+}
+
+function device_snapshot(device) {
+    let snapshot = { s: device.presumed_state, r: Math.round(device.runtime_today), e: Math.round(device.energy_today), d: runtime_day };
+    if (def(device.expectedPower)) {
+        snapshot.p = device.expectedPower;
+        snapshot.c = device.configuredPower;
+    }
+    if (def(device.last_switch)) snapshot.l = device.last_switch;
+    if (device.switch_times.length > 0) snapshot.w = device.switch_times;
+    if (def(device.override)) snapshot.o = device.override;
+    if (def(device.observed_power)) snapshot.m = device.observed_power;
+    if (device.metered) snapshot.v = 1;
+    return snapshot;
+}
+
+// every device gets its own key, as KVS values are limited in size. Unchanged values are not written again to spare the flash
+function save_state() {
+    if (!persist_interval) return;
+    let values = {};
+    values[kvs_key("settings")] = changed_settings;
+    if (energy_report.enabled)
+        values[kvs_key("energy")] = { d: energy.day, x: Math.round(energy.exported), i: Math.round(energy.imported) };
+    for (let device of devices) {
+        values[kvs_key("d/" + device.name)] = device_snapshot(device);
+    }
+    for (let key in values) {
+        let value = JSON.stringify(values[key]);
+        if (persisted[key] === value) continue;
+        persisted[key] = value;
+        Call("KVS.Set", { key: key, value: value });
+    }
+}
+
+function restore_device(device, snapshot) {
+    device.presumed_state = snapshot.s;
+    if (snapshot.d == day_of(Date.now())) {
+        device.runtime_today = snapshot.r;
+        if (def(snapshot.e)) device.energy_today = snapshot.e;
+        runtime_day = snapshot.d;
+    }
+    if (def(snapshot.p) && def(device.expectedPower)) {
+        if (snapshot.c == device.configuredPower)
+            device.expectedPower = snapshot.p;
+        else
+            log.info("Expected power of " + device.name + " was changed in the config, dropping the learned value");
+    }
+    if (def(snapshot.l)) device.last_switch = snapshot.l;
+    if (def(snapshot.w)) device.switch_times = snapshot.w;
+    if (def(snapshot.o)) device.override = snapshot.o;
+    if (def(snapshot.m)) device.observed_power = snapshot.m;
+    device.metered = snapshot.v == 1;
+}
+
+// entries of devices that were removed from the config or of an older kvs_version are deleted
+function restore_callback(result) {
+    let items = [];
+    if (result && result.items) {
+        // the format of KVS.GetMany changed from an object to an array in firmware 1.5
+        if (def(result.items.length)) {
+            items = result.items;
+        } else {
+            for (let key in result.items) {
+                items.push({ key: key, value: result.items[key].value });
+            }
+        }
+    } else {
+        log.warn("Could not read persisted state, starting fresh");
+    }
+    let devicePrefix = kvs_key("d/");
+    for (let item of items) {
+        let known = false;
+        try {
+            if (item.key == kvs_key("settings")) {
+                let settings = JSON.parse(item.value);
+                for (let name in settings) {
+                    let value = setting_value(name, settings[name]);
+                    if (def(value)) {
+                        runtime_settings[name].set(value);
+                        changed_settings[name] = value;
+                    } else {
+                        log.warn("Ignoring unknown or invalid persisted setting " + name + ": " + settings[name]);
+                    }
+                }
+                known = true;
+            } else if (item.key == kvs_key("energy")) {
+                let saved = JSON.parse(item.value);
+                if (saved.d == day_of(Date.now()))
+                    energy = { day: saved.d, exported: saved.x, imported: saved.i };
+                known = true;
+            } else if (item.key.indexOf(devicePrefix) == 0 && def(device_name_index_map[item.key.slice(devicePrefix.length)])) {
+                restore_device(devices[device_name_index_map[item.key.slice(devicePrefix.length)]], JSON.parse(item.value));
+                known = true;
+            }
+        } catch (e) {
+            log.warn("Could not restore " + item.key + ": " + item.value);
+        }
+        if (known) {
+            persisted[item.key] = item.value;
+        } else {
+            log.info("Deleting stale persisted state " + item.key);
+            Call("KVS.Delete", { key: item.key });
+        }
+    }
+    log.info("Restored " + items.length + " persisted entries");
+    sort_devices();
+    restore_current_state();
+    start();
+}
+
+// the devices that were on make up the current state again, so they are stepped down as usual if the surplus is gone
+function restore_current_state() {
+    current_desired_device_states = [];
+    for (let device of sorted_devices) {
+        if (device.presumed_state == "on")
+            current_desired_device_states.push({ name: device.name, turned: "on" });
+    }
+    current_expected_power_draw = expected_power_draw(current_desired_device_states);
+}
+
+function restore_state() {
+    if (!persist_interval) {
+        start();
+        return;
+    }
+    Call("KVS.GetMany", { match: "ls/*" }, restore_callback);
+}
+
+function sort_devices() {
+    let relays = [];
+    let adjustable = [];
+    let opportunistic = [];
+    for (let device of devices) {
+        if (is_adjustable(device))
+            adjustable.push(device);
+        else if (is_opportunistic(device))
+            opportunistic.push(device);
+        else
+            relays.push(device);
+    }
+    sorted_devices = manualSortDevices(relays);
+    adjustable_devices = manualSortDevices(adjustable);
+    opportunistic_devices = manualSortDevices(opportunistic);
+}
+
 function requestFullSync() {
     log.debug("Requesting full sync");
     for (let d of devices) {
-        d.requires_sync = true;
+        if (!query_device(d))
+            d.requires_sync = true;
     }
 }
 
 function init() {
     for (let d in devices) {
         device_name_index_map[devices[d].name] = d;
-        d.presumed_state = "unknown";
-        d.requires_sync = true;
+        devices[d].presumed_state = "unknown";
+        devices[d].requires_sync = true;
+        devices[d].failures = 0;
+        devices[d].unreachable = false;
+        devices[d].retry_at = 0; // time of the next attempt after a failed command, see tick
+        devices[d].switch_times = [];
+        devices[d].runtime_today = 0;
+        devices[d].energy_today = 0;
+        devices[d].configuredPower = devices[d].expectedPower;
     }
-    sorted_devices = manualSortDevices(devices.slice(0));
+    sort_devices();
+}
 
-    full_sync_timer = Timer.set(sync_interval * 1000, true, requestFullSync);
+// runs task every interval seconds, 0 disables it. Shelly scripts only get a few timers, so everything periodic runs from tick
+function every(interval, task) {
+    if (interval > 0)
+        tasks.push({ interval: interval, run: task, due: Date.now() + interval * 1000 });
+}
 
+// runs the periodic tasks and the retries of failed commands that are due
+function tick() {
+    let now = Date.now();
+    for (let task of tasks) {
+        if (task.due > now) continue;
+        task.due += task.interval * 1000;
+        if (task.due <= now) task.due = now + task.interval * 1000;
+        task.run();
+    }
+    for (let device of devices) {
+        if (device.retry_at && device.retry_at <= now)
+            retry_command(device.name);
+    }
+}
+
+function publish_energy_counters() {
+    publish_energy(false);
+}
+
+// called once the persisted state is restored
+function start() {
+    every(sync_interval, requestFullSync);
+    if (power_source.type != "local")
+        every(power_source.interval, poll_power_source);
+    every(persist_interval, save_state);
+    if (energy_report.enabled)
+        every(energy_report.interval, publish_energy_counters);
+    Timer.set(1000, true, tick);
+    requestFullSync();
+    init_battery();
+    init_mqtt_devices();
+    init_mqtt_control();
+    init_http_api();
+    Shelly.addStatusHandler(check_power);
 }
 
 
@@ -386,7 +2223,7 @@ function init() {
 //This is the entry point of the script (called by the Toolbox after 2sek)
 function Main() {
     init();
-    Shelly.addStatusHandler(check_power);
+    restore_state();
 }
 
 //Toolbox v1.0(base), a universal Toolbox for Shelly Scripts
@@ -394,7 +2231,7 @@ function Main() {
 function Efilter(d,p,deBug) { //Event Filter, d=eventdata, p={device:[], filterKey:[], filterValue:[], noInfo:true, inData:true}->optional_parameter 
     try{
         let fR= {}; //d.info= d.info.data; 
-        if(p.noInfo){fR= d; d= {}; d.info= fR; fR= {};} if(p.inData && d.info.data){Object.assign(d.info,d.info.data) delete d.info.data;}
+        if(p.noInfo){fR= d; d= {}; d.info= fR; fR= {};} if(p.inData && d.info.data){Object.assign(d.info,d.info.data); delete d.info.data;}
         if(!d.info) fR.useless= true; if(p.device && p.device.length && p.device.indexOf(d.info.component) === -1) fR.useless= true;
         if(p.device && p.device.length && !fR.useless && !p.filterKey && !p.filterValue) fR= d.info;
         if(p.filterKey && !fR.useless) for(f of p.filterKey) for(k in d.info) if(f === k) fR[k]= d.info[k];
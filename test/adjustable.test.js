@@ -0,0 +1,60 @@
+// Tests for adjustable devices, which get the surplus left over by the relays
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const wallbox = { name: "wallbox", setpoint_url: "http://192.168.178.61/api/set?amp={value}", setpointScale: 0.01, minPower: 500, maxPower: 2000 };
+
+function simulation(devices) {
+    return createSimulation({ devices: devices }).start();
+}
+
+function setpoint(sim, name) {
+    return sim.devices[name].setpoint;
+}
+
+test("takes the leftover right away and makes room for the relays", function () {
+    let relay = { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 };
+    let sim = simulation([relay, wallbox]);
+    // 1800W after the headroom, without waiting for power_increase_threshold_duration
+    sim.hold(2300, 5);
+    assert.strictEqual(setpoint(sim, "wallbox"), 1800);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(2300, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.strictEqual(setpoint(sim, "wallbox"), 800);
+    assert.ok(sim.commands.some(function (c) {
+        return c.url === "http://192.168.178.61/api/set?amp=8";
+    }));
+    // below minPower it is turned off
+    sim.hold(1700, 5);
+    assert.strictEqual(setpoint(sim, "wallbox"), 0);
+});
+
+test("doesn't send setpoints that differ less than setpoint_deadband", function () {
+    let sim = simulation([wallbox]);
+    sim.hold(1500, 5);
+    let count = sim.commands.length;
+    sim.hold(1530, 30);
+    assert.strictEqual(sim.commands.length, count);
+    assert.strictEqual(setpoint(sim, "wallbox"), 1000);
+    sim.hold(1600, 5);
+    assert.strictEqual(setpoint(sim, "wallbox"), 1100);
+});
+
+test("picks the highest level that fits for devices with steps", function () {
+    let sim = simulation([{ name: "heater", setpoint_url: "http://192.168.178.62/level?l={value}", steps: [500, 1000, 1500] }]);
+    sim.hold(1700, 5);
+    assert.strictEqual(setpoint(sim, "heater"), 1000);
+    assert.strictEqual(sim.commands[sim.commands.length - 1].url, "http://192.168.178.62/level?l=2");
+});
+
+test("sets the brightness of a Shelly Dimmer", function () {
+    let sim = simulation([{ name: "dimmer", addr: "192.168.178.60", gen: 1, type: "light", channel: 0, minPower: 50, maxPower: 600 }]);
+    sim.hold(800, 5);
+    assert.strictEqual(sim.commands[sim.commands.length - 1].url, "http://192.168.178.60/light/0?turn=on&brightness=50");
+    sim.hold(0, 5);
+    assert.strictEqual(sim.commands[sim.commands.length - 1].url, "http://192.168.178.60/light/0?turn=off");
+});
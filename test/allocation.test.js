@@ -0,0 +1,57 @@
+// Tests for device priorities and the allocation modes
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+// the example of key consideration 5 in the script
+const devices = [
+    { name: "heater", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 3000 },
+    { name: "2.1", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 2000 },
+    { name: "2.2", addr: "192.168.178.56", gen: 1, type: "relay", channel: 0, expectedPower: 2000 },
+];
+
+function simulation(settings, list) {
+    return createSimulation({ settings: settings, devices: list || devices }).start();
+}
+
+test("greedy takes the largest device that fits", function () {
+    let sim = simulation({ allocation_mode: "greedy" });
+    // 4000W left after the headroom
+    sim.hold(4500, 65);
+    assert.deepStrictEqual(sim.states(), { heater: true, "2.1": false, "2.2": false });
+});
+
+test("bestfit takes the combination that fills the surplus best", function () {
+    let sim = simulation({ allocation_mode: "bestfit" });
+    sim.hold(4500, 65);
+    assert.deepStrictEqual(sim.states(), { heater: false, "2.1": true, "2.2": true });
+});
+
+test("bestfit stops with the best combination found within bestfit_max_iterations", function () {
+    let sim = simulation({ allocation_mode: "bestfit", bestfit_max_iterations: 1 });
+    sim.hold(4500, 65);
+    assert.deepStrictEqual(sim.states(), { heater: true, "2.1": false, "2.2": false });
+});
+
+test("devices with a higher priority get power first", function () {
+    let list = [
+        { name: "pump", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000, priority: 1 },
+        { name: "heater", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 3000 },
+    ];
+    let sim = simulation({ allocation_mode: "greedy" }, list);
+    sim.hold(3500, 65);
+    assert.deepStrictEqual(sim.states(), { pump: true, heater: false });
+});
+
+test("bestfit fills the higher priority levels first", function () {
+    let list = [
+        { name: "heater", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 2500, priority: 2 },
+        { name: "2.1", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 2000 },
+        { name: "2.2", addr: "192.168.178.56", gen: 1, type: "relay", channel: 0, expectedPower: 2000 },
+    ];
+    let sim = simulation({ allocation_mode: "bestfit" }, list);
+    sim.hold(4500, 65);
+    assert.deepStrictEqual(sim.states(), { heater: true, "2.1": false, "2.2": false });
+});
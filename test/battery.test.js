@@ -0,0 +1,76 @@
+// Tests for the battery policies
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+function simulation(battery) {
+    return createSimulation({ settings: { battery: battery, http_api: { enabled: true } } });
+}
+
+const mqttBattery = { source: "mqtt", soc_topic: "battery/soc", power_topic: "battery/power", max_age: 60, min_soc: 90, charge_as_surplus_soc: 101, prevent_discharge: true };
+
+test("doesn't divert below min_soc", function () {
+    let sim = simulation(mqttBattery).start();
+    sim.mqtt("battery/soc", "80");
+    sim.mqtt("battery/power", "0");
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.mqtt("battery/soc", "95");
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("doesn't divert without recent battery readings", function () {
+    let sim = simulation(mqttBattery).start();
+    sim.mqtt("battery/soc", "95");
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // no readings for more than max_age
+    sim.hold(2000, 40);
+    assert.strictEqual(sim.states()["1.1"], false);
+    assert.ok(sim.log.some(function (line) { return line.indexOf("No battery readings") >= 0; }));
+});
+
+test("counts charging power as surplus from charge_as_surplus_soc on", function () {
+    let sim = simulation(Object.assign({}, mqttBattery, { soc_topic: "battery", power_topic: "battery", soc_path: "soc", power_path: "power", min_soc: 0, charge_as_surplus_soc: 95 })).start();
+    // the battery takes the surplus, the grid meter shows hardly any export
+    for (let i = 0; i < 13; i++) {
+        sim.mqtt("battery", JSON.stringify({ soc: 90, power: 1800 }));
+        sim.hold(100, 5);
+    }
+    assert.strictEqual(sim.states()["1.1"], false);
+    for (let i = 0; i < 13; i++) {
+        sim.mqtt("battery", JSON.stringify({ soc: 96, power: 1800 }));
+        sim.hold(100, 5);
+    }
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("steps down instead of discharging the battery", function () {
+    let sim = simulation(Object.assign({}, mqttBattery, { min_soc: 0, invert_power: true })).start();
+    sim.mqtt("battery/soc", "50");
+    sim.mqtt("battery/power", "0");
+    sim.hold(1800, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // discharging is reported as positive here
+    sim.mqtt("battery/power", "600");
+    sim.hold(1800, 35);
+    assert.strictEqual(sim.states()["1.1"], false);
+});
+
+test("polls the battery over HTTP", function () {
+    let sim = simulation({ source: "http", url: "http://10.0.0.7/status", interval: 10, soc_path: "bat.soc", power_path: "bat.p", max_age: 60, min_soc: 90, charge_as_surplus_soc: 101, prevent_discharge: true });
+    let soc = 80;
+    sim.route("http://10.0.0.7/status", function () {
+        return { bat: { soc: soc, p: 0 } };
+    });
+    sim.start();
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], false);
+    soc = 92;
+    sim.hold(2000, 75);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.deepStrictEqual(sim.http("load-shedding").body.battery, { soc: 92, power: 0, lost: false });
+});
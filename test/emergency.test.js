@@ -0,0 +1,88 @@
+// Tests for the emergency shedding on hard import limits
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+function simulation(emergency, devices) {
+    return createSimulation({ settings: { emergency: emergency, logging: { mqtt: { enabled: true, topicPrefix: "ls/" } } }, devices: devices }).start();
+}
+
+test("sheds the lowest priorities right away and blocks step ups during the cooldown", function () {
+    let sim = simulation({ import_limit: 4000, phase_import_limit: 0, cooldown: 300 }, [
+        { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000, priority: 2 },
+        { name: "1.2", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 1000, priority: 1 },
+        { name: "1.3", addr: "192.168.178.56", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    ]);
+    sim.hold(3600, 65);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": true, "1.3": true });
+
+    // 2500W import plus the 3000W of the devices
+    sim.surplus(-2500);
+    sim.advance(1);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": false, "1.3": false });
+    let alerts = sim.published_to("ls/alert");
+    assert.strictEqual(alerts.length, 1);
+    assert.deepStrictEqual(JSON.parse(alerts[0].message).shed, ["1.3", "1.2"]);
+    assert.ok(sim.log.some(function (line) { return line.indexOf("[ERROR]: Emergency: total import 5500W") >= 0; }));
+
+    sim.hold(3600, 240);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": false, "1.3": false });
+    sim.hold(3600, 125);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": true, "1.3": true });
+});
+
+test("sheds only devices on the overloaded phase", function () {
+    let sim = simulation({ import_limit: 0, phase_import_limit: 1000, cooldown: 300 }, [
+        { name: "a", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 2000, phase: "a", priority: 1 },
+        { name: "c", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 2000, phase: "c" },
+    ]);
+    sim.hold([2000, 1000, 2000], 65);
+    assert.deepStrictEqual(sim.states(), { a: true, c: true });
+    sim.surplus([-500, 1000, 2000]);
+    sim.advance(1);
+    assert.deepStrictEqual(sim.states(), { a: false, c: true });
+    assert.ok(sim.log.some(function (line) { return line.indexOf("import of 2500W on phase a") >= 0; }));
+});
+
+test("keeps devices overridden to on", function () {
+    let sim = simulation({ import_limit: 1000, phase_import_limit: 0, cooldown: 300 }, [
+        { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    ]);
+    sim.eval("set_override('1.1', 'on')");
+    sim.surplus(-2000);
+    sim.advance(1);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.strictEqual(sim.published_to("ls/alert").length, 0);
+});
+
+test("the cooldown also keeps devices off that minRuntime would turn on", function () {
+    let sim = simulation({ import_limit: 1000, phase_import_limit: 0, cooldown: 300 }, [
+        { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000, minRuntime: 1000 },
+    ]);
+    sim.hold(0, 10);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.surplus(-2000);
+    sim.advance(1);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(0, 240);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(0, 70);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("the cooldown also keeps devices without expectedPower off that minRuntime would turn on", function () {
+    let sim = simulation({ import_limit: 1000, phase_import_limit: 0, cooldown: 300 }, [
+        { name: "pump", addr: "192.168.178.60", gen: 2, type: "switch", channel: 0, power: 400, minRuntime: 1000 },
+    ]);
+    sim.hold(0, 10);
+    assert.strictEqual(sim.states().pump, true);
+    sim.surplus(-2000);
+    sim.advance(1);
+    assert.strictEqual(sim.states().pump, false);
+    sim.hold(0, 240);
+    assert.strictEqual(sim.states().pump, false);
+    sim.hold(0, 70);
+    assert.strictEqual(sim.states().pump, true);
+});
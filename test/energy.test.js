@@ -0,0 +1,84 @@
+// Tests for the energy counters and daily reports
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    logging: { mqtt: { enabled: true, topicPrefix: "ls/" } },
+    energy_report: { enabled: true },
+};
+
+const devices = [
+    { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    { name: "1.2", addr: "192.168.178.53", gen: 2, type: "switch", channel: 0, expectedPower: 2000 },
+];
+
+function simulation(options) {
+    options = options || {};
+    return createSimulation({ settings: Object.assign({}, settings, options.settings), devices: options.devices || devices, start: options.start }).start();
+}
+
+function near(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, actual + " is not within " + tolerance + " of " + expected);
+}
+
+test("counts on-time, energy of the devices and exported energy", function () {
+    let sim = simulation();
+    sim.hold(2000, 3660);
+    let summary = sim.eval("energy_summary()");
+    // 1.1 is on from 60s on
+    near(summary.devices["1.1"].on_time, 3600, 5);
+    near(summary.devices["1.1"].energy, 1000, 5);
+    assert.strictEqual(summary.devices["1.2"].energy, 0);
+    near(summary.exported, 2033, 5);
+    assert.strictEqual(summary.imported, 0);
+    assert.strictEqual(summary.diverted, summary.devices["1.1"].energy);
+});
+
+test("uses the power a device reports", function () {
+    let sim = simulation({
+        settings: { sync_interval: 60, expected_power_learning_rate: 0 },
+        devices: [{ name: "1.2", addr: "192.168.178.53", gen: 2, type: "switch", channel: 0, expectedPower: 2000, power: 1500 }],
+    });
+    sim.hold(3000, 120);
+    let before = sim.eval("energy_summary()").devices["1.2"].energy;
+    sim.hold(3000, 3600);
+    near(sim.eval("energy_summary()").devices["1.2"].energy - before, 1500, 5);
+});
+
+test("doesn't count while the controller is paused", function () {
+    let sim = simulation({ settings: { mqtt_control: { enabled: true, discovery: false } } });
+    sim.hold(-1000, 600);
+    sim.mqtt("ls/set/paused", "true");
+    sim.hold(-1000, 600);
+    sim.mqtt("ls/set/paused", "false");
+    sim.hold(-1000, 600);
+    near(sim.eval("energy_summary()").imported, 333, 5);
+});
+
+test("reports the day after midnight", function () {
+    let sim = simulation({ start: new Date(2025, 5, 1, 23, 30, 0) });
+    sim.hold(3500, 1200);
+    assert.strictEqual(sim.published_to("ls/report").length, 0);
+    sim.hold(3500, 1200);
+    let reports = sim.published_to("ls/report");
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].retain, true);
+    let report = JSON.parse(reports[0].message);
+    assert.strictEqual(report.day, 20250601);
+    // on from 60s after the start until midnight
+    near(report.devices["1.2"].on_time, 1800 - 60, 10);
+    assert.ok(sim.log.some(function (line) { return line.indexOf("[REPORT]: Energy on 20250601: diverted ") >= 0; }));
+    // the new day starts from zero
+    assert.ok(sim.eval("energy_summary()").devices["1.2"].energy < report.devices["1.2"].energy);
+});
+
+test("publishes line protocol", function () {
+    let sim = simulation({ settings: { energy_report: { enabled: true, format: "influx", interval: 60 } } });
+    sim.hold(2000, 65);
+    let lines = sim.published_to("ls/energy")[0].message.split("\n");
+    assert.match(lines[0], /^load_shedding exported=\d+,imported=0,diverted=0 \d+000000000$/);
+    assert.match(lines[1], /^load_shedding,device=1\.1 on_time=0i,energy=0 \d+000000000$/);
+});
@@ -0,0 +1,476 @@
+// Offline simulation harness for load-shedding.js
+// Loads the script as it is into a sandbox with stand-ins for the Shelly scripting API (Shelly.call, Shelly.addStatusHandler,
+// Timer, MQTT, KVS, HTTPServer, print), runs it on a simulated clock and simulates the devices it controls.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPT = path.join(__dirname, "..", "load-shedding.js");
+
+// what the tests share, so every test only states what it changes
+const defaults = {
+    settings: {
+        power_headroom: 500,
+        power_hysteresis_span: 0,
+        power_increase_threshold_duration: 60,
+        power_decrease_threshold_duration: 30,
+        sync_interval: 3600,
+        logging: { level: "warn" },
+    },
+    devices: [
+        { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    ],
+};
+
+// options:
+//   settings  - values for the script's global settings, e.g. { power_headroom: 500 }, on top of defaults.settings.
+//               Nested objects like logging are merged with the defaults and the script's values
+//   devices   - replaces the devices list of the script, defaults to defaults.devices. Every device can have a `power` (what it
+//               actually draws when on, defaults to expectedPower), `on` (initial state) and `reachable` (defaults to true)
+//   meter     - "Pro3EM" (default) or "Pro4PM", the kind of status updates surplus() and replay() produce
+//   feedback  - set to true if the meter also measures the controlled devices, their consumption is then taken off the surplus
+//   start     - the simulated start time, a Date. Defaults to 2025-06-01 08:00 local time
+//   kvs       - object used as the KVS store, to simulate a restart with the same KVS
+// an answer of a route with a status code other than 200
+class Reply {
+    constructor(code, body, headers) {
+        this.code = code;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+// options.settings on top of defaults.settings, nested objects are merged one level deep
+function settingsWithDefaults(settings) {
+    let merged = Object.assign({}, defaults.settings);
+    for (let key in settings || {}) {
+        let value = settings[key];
+        if (typeof value === "object" && value !== null && !Array.isArray(value) && typeof merged[key] === "object")
+            merged[key] = Object.assign({}, merged[key], value);
+        else
+            merged[key] = value;
+    }
+    return merged;
+}
+
+function createSimulation(options) {
+    options = Object.assign({}, options);
+    options.settings = settingsWithDefaults(options.settings);
+    options.devices = options.devices || defaults.devices;
+    let now = (options.start || new Date(2025, 5, 1, 8, 0, 0)).getTime();
+    let timers = [];
+    let nextTimerId = 1;
+    let statusHandlers = [];
+    let subscriptions = [];
+    let endpoints = {};
+    let kvs = options.kvs || {};
+    let simDevices = {};
+    let routes = [];
+    let sim = {
+        log: [],
+        commands: [],
+        published: [],
+        kvs: kvs,
+        lastSurplus: 0,
+    };
+
+    const RealDate = Date;
+    class SimDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) super(now);
+            else super(...args);
+        }
+        static now() {
+            return now;
+        }
+    }
+
+    function schedule(ms, repeat, callback, userdata) {
+        let timer = { id: nextTimerId++, at: now + ms, ms: ms, repeat: repeat, callback: callback, userdata: userdata };
+        timers.push(timer);
+        return timer.id;
+    }
+
+    // answers arrive asynchronously, like on a real Shelly
+    function respond(callback, userdata, result, errorCode, errorMessage) {
+        if (!callback) return;
+        schedule(50, false, function () {
+            callback(result, errorCode || 0, errorMessage || "", userdata);
+        });
+    }
+
+    function simDevice(url) {
+        for (let name in simDevices) {
+            let device = simDevices[name];
+            if (device.addr && url.indexOf("http://" + device.addr + "/") === 0) return device;
+            for (let key of ["on_url", "off_url", "setpoint_url"]) {
+                if (device[key] && url.split("?")[0] === device[key].split("?")[0]) return device;
+            }
+        }
+        return null;
+    }
+
+    function record(device, url, on, power) {
+        sim.commands.push({ time: now, device: device.name, url: url, on: on, power: power });
+    }
+
+    // answers a request with a route, returns false if no route matches
+    function route(method, params, callback, userdata) {
+        for (let route of routes) {
+            if (params.url.indexOf(route.prefix) === 0) {
+                let body = route.handler(params.url, Object.assign({ method: method }, params));
+                if (body === undefined) respond(callback, userdata, undefined, -104, "Timed out");
+                else if (body instanceof Reply) respond(callback, userdata, { code: body.code, body: JSON.stringify(body.body), headers: body.headers || {} });
+                else respond(callback, userdata, { code: 200, body: JSON.stringify(body) });
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function httpGet(params, callback, userdata) {
+        if (route("GET", params, callback, userdata)) return;
+        let device = simDevice(params.url);
+        if (!device || !device.reachable) {
+            if (device) sim.commands.push({ time: now, device: device.name, url: params.url, failed: true });
+            return respond(callback, userdata, undefined, -104, "Timed out");
+        }
+        let url = params.url;
+        let query = url.indexOf("?") >= 0 ? url.slice(url.indexOf("?") + 1) : "";
+        let body = {};
+        let match;
+        if ((match = /\/(relay|light)\/\d+\?turn=(on|off)/.exec(url))) {
+            device.isOn = match[2] === "on";
+            let brightness = /brightness=(\d+)/.exec(query);
+            device.setpoint = brightness ? Math.round(device.maxPower * brightness[1] / 100) : (device.isOn ? device.maxPower : 0);
+            record(device, url, device.isOn, device.maxPower ? device.setpoint : undefined);
+            body = { ison: device.isOn };
+        } else if ((match = /\/rpc\/\w+\.Set\?id=\d+&on=(true|false)/i.exec(url))) {
+            device.isOn = match[1] === "true";
+            let brightness = /brightness=(\d+)/.exec(query);
+            device.setpoint = brightness ? Math.round(device.maxPower * brightness[1] / 100) : (device.isOn ? device.maxPower : 0);
+            record(device, url, device.isOn, device.maxPower ? device.setpoint : undefined);
+            body = { was_on: !device.isOn };
+        } else if (/\/status$/.test(url)) {
+            body = { relays: [{ ison: device.isOn }], meters: [{ power: device.isOn ? device.power : 0 }] };
+        } else if (/\/rpc\/\w+\.GetStatus/i.test(url)) {
+            body = { id: 0, output: device.isOn, apower: device.isOn ? device.power : 0 };
+        } else if (device.on_url && url === device.on_url) {
+            device.isOn = true;
+            record(device, url, true);
+        } else if (device.off_url && url === device.off_url) {
+            device.isOn = false;
+            device.setpoint = 0;
+            record(device, url, false, device.maxPower || device.steps ? 0 : undefined);
+        } else if (device.setpoint_url) {
+            let value = Number(/=(-?[\d.]+)[^=]*$/.exec(url)[1]);
+            device.setpoint = device.steps ? (value > 0 ? device.steps[value - 1] : 0) : value / (device.setpointScale || 1);
+            device.isOn = device.setpoint > 0;
+            record(device, url, device.isOn, device.setpoint);
+        } else {
+            record(device, url);
+        }
+        respond(callback, userdata, { code: 200, body: JSON.stringify(body) });
+    }
+
+    function kvsCall(method, params) {
+        if (method === "KVS.Set") {
+            kvs[params.key] = params.value;
+            return { etag: "0" };
+        }
+        if (method === "KVS.Get") return params.key in kvs ? { value: kvs[params.key], etag: "0" } : undefined;
+        if (method === "KVS.Delete") {
+            delete kvs[params.key];
+            return {};
+        }
+        if (method === "KVS.GetMany") {
+            let prefix = params.match.replace("*", "");
+            let items = [];
+            for (let key in kvs) {
+                if (key.indexOf(prefix) === 0) items.push({ key: key, etag: "0", value: kvs[key] });
+            }
+            return { items: items };
+        }
+    }
+
+    function topicMatches(filter, topic) {
+        let f = filter.split("/");
+        let t = topic.split("/");
+        for (let i = 0; i < f.length; i++) {
+            if (f[i] === "#") return true;
+            if (i >= t.length || (f[i] !== "+" && f[i] !== t[i])) return false;
+        }
+        return f.length === t.length;
+    }
+
+    const Shelly = {
+        call: function (method, params, callback, userdata) {
+            if (method === "HTTP.GET") return httpGet(params, callback, userdata);
+            if (method === "HTTP.Request" && (params.method || "GET") === "GET") return httpGet(params, callback, userdata);
+            if (method === "HTTP.POST" || method === "HTTP.Request") {
+                if (route(method === "HTTP.POST" ? "POST" : params.method, params, callback, userdata)) return;
+                sim.commands.push({ time: now, url: params.url, body: params.body });
+                return respond(callback, userdata, { code: 200, body: "{}" });
+            }
+            if (method.indexOf("KVS.") === 0) {
+                let result = kvsCall(method, params);
+                return respond(callback, userdata, result, result ? 0 : -105, result ? "" : "Not found");
+            }
+            respond(callback, userdata, {});
+        },
+        addStatusHandler: function (callback) {
+            statusHandlers.push(callback);
+        },
+        addEventHandler: function () { },
+        emitEvent: function () { },
+        getComponentStatus: function () {
+            return {};
+        },
+        getComponentConfig: function () {
+            return { name: "load-shedding" };
+        },
+        getDeviceInfo: function () {
+            return { id: "shellypro3em-simulated" };
+        },
+        getCurrentScriptId: function () {
+            return 1;
+        },
+    };
+
+    const Timer = {
+        set: schedule,
+        clear: function (id) {
+            timers = timers.filter(function (timer) {
+                return timer.id !== id;
+            });
+            return true;
+        },
+    };
+
+    const MQTT = {
+        isConnected: function () {
+            return true;
+        },
+        publish: function (topic, message, qos, retain) {
+            sim.published.push({ time: now, topic: topic, message: message, retain: !!retain });
+            return true;
+        },
+        subscribe: function (topic, callback, userdata) {
+            subscriptions.push({ topic: topic, callback: callback, userdata: userdata });
+        },
+        unsubscribe: function (topic) {
+            subscriptions = subscriptions.filter(function (s) {
+                return s.topic !== topic;
+            });
+        },
+        setConnectHandler: function () { },
+        setDisconnectHandler: function () { },
+    };
+
+    const HTTPServer = {
+        registerEndpoint: function (name, callback, userdata) {
+            endpoints[name] = { callback: callback, userdata: userdata };
+            return "/script/1/" + name;
+        },
+    };
+
+    const context = vm.createContext({
+        print: function () {
+            sim.log.push(Array.prototype.slice.call(arguments).join(" "));
+        },
+        Date: SimDate,
+        Shelly: Shelly,
+        Timer: Timer,
+        MQTT: MQTT,
+        HTTPServer: HTTPServer,
+    });
+    vm.runInContext(fs.readFileSync(SCRIPT, "utf8"), context, { filename: SCRIPT });
+
+    function evaluate(code) {
+        return vm.runInContext(code, context);
+    }
+
+    // settings are assigned before Main() runs, like editing them in the script
+    context.__settings = options.settings;
+    evaluate("for (let k in __settings) { if (typeof __settings[k] === 'object' && __settings[k] !== null && !Array.isArray(__settings[k])) Object.assign(this[k], __settings[k]); else this[k] = __settings[k]; }");
+    context.__devices = options.devices.map(function (d) {
+        let config = Object.assign({}, d);
+        delete config.power;
+        delete config.on;
+        delete config.reachable;
+        return config;
+    });
+    evaluate("devices.length = 0; for (let d of __devices) devices.push(d);");
+    for (let d of evaluate("devices")) {
+        let given = options.devices.find(function (o) { return o.name === d.name; }) || {};
+        simDevices[d.name] = Object.assign({}, d, {
+            power: given.power !== undefined ? given.power : d.expectedPower,
+            isOn: !!given.on,
+            setpoint: 0,
+            reachable: given.reachable !== false,
+        });
+    }
+
+    function advanceTo(time) {
+        while (true) {
+            let next = null;
+            for (let timer of timers) {
+                if (timer.at <= time && (!next || timer.at < next.at)) next = timer;
+            }
+            if (!next) break;
+            now = next.at;
+            if (next.repeat) next.at += next.ms;
+            else timers.splice(timers.indexOf(next), 1);
+            next.callback(next.userdata);
+        }
+        now = time;
+    }
+
+    // power drawn by the simulated devices that are on
+    function load() {
+        let power = 0;
+        for (let name in simDevices) {
+            let device = simDevices[name];
+            if (!device.isOn) continue;
+            power += device.maxPower || device.steps ? device.setpoint : (device.power || 0);
+        }
+        return power;
+    }
+
+    function status(msg) {
+        for (let handler of statusHandlers) {
+            handler(msg);
+        }
+    }
+
+    // the reading the meter reports for a surplus (positive) or import (negative), taking invert_power_readings into account
+    function reading(surplus) {
+        return evaluate("invert_power_readings") ? surplus : -surplus;
+    }
+
+    sim.eval = evaluate;
+    sim.now = function () {
+        return now;
+    };
+    sim.devices = simDevices;
+    // starts the script, which waits 2s before it runs Main()
+    sim.start = function () {
+        advanceTo(now + 2100);
+        return sim;
+    };
+    // the timers the script has set and not cleared yet
+    sim.timers = function () {
+        return timers.length;
+    };
+    sim.advance = function (seconds) {
+        advanceTo(now + seconds * 1000);
+    };
+    // reports a surplus in watts to the script, with feedback the consumption of the devices is taken off first.
+    // For the Pro3EM, watts can also be the surplus of every phase, [a, b, c]
+    sim.surplus = function (watts) {
+        let phases = Array.isArray(watts) ? watts.slice(0) : [watts / 3, watts / 3, watts / 3];
+        if (options.feedback) {
+            for (let i = 0; i < 3; i++) phases[i] -= load() / 3;
+        }
+        sim.lastSurplus = phases[0] + phases[1] + phases[2];
+        if (options.meter === "Pro4PM") {
+            status({ component: "switch:0", id: 0, delta: { id: 0, apower: reading(sim.lastSurplus) } });
+        } else {
+            status({ component: "em:0", id: 0, delta: { id: 0, a_act_power: reading(phases[0]), b_act_power: reading(phases[1]), c_act_power: reading(phases[2]) } });
+        }
+    };
+    // keeps reporting a surplus every `interval` seconds (default 5) for `seconds`
+    sim.hold = function (watts, seconds, interval) {
+        interval = interval || 5;
+        for (let t = 0; t < seconds; t += interval) {
+            sim.surplus(watts);
+            sim.advance(interval);
+        }
+    };
+    // replays a trace of status deltas, see loadTrace(). Rows are { time: <seconds from the start>, id, delta }
+    sim.replay = function (trace) {
+        let start = now;
+        for (let row of trace) {
+            advanceTo(start + row.time * 1000);
+            let delta = Object.assign({}, row.delta);
+            if (options.feedback) {
+                let sign = evaluate("invert_power_readings") ? -1 : 1;
+                if ("apower" in delta) delta.apower += sign * load();
+                else for (let p of ["a", "b", "c"]) delta[p + "_act_power"] += sign * load() / 3;
+            }
+            status({ component: "apower" in delta ? "switch:" + (row.id || 0) : "em:0", id: row.id || 0, delta: delta });
+        }
+    };
+    sim.status = status;
+    // answers HTTP requests to URLs starting with prefix with the JSON handler(url, params) returns, where params.method is the HTTP method.
+    // undefined simulates a timeout, sim.reply() any other answer
+    sim.route = function (prefix, handler) {
+        routes.push({ prefix: prefix, handler: handler });
+    };
+    sim.reply = function (code, body, headers) {
+        return new Reply(code, body, headers);
+    };
+    sim.load = load;
+    sim.setReachable = function (name, reachable) {
+        simDevices[name].reachable = reachable;
+    };
+    // the state of every simulated device, e.g. { "1.1": true, "1.2": false }
+    sim.states = function () {
+        let states = {};
+        for (let name in simDevices) {
+            states[name] = simDevices[name].isOn;
+        }
+        return states;
+    };
+    // switches that were sent, without failed attempts
+    sim.switches = function () {
+        return sim.commands.filter(function (c) {
+            return c.device && !c.failed && c.on !== undefined;
+        });
+    };
+    // delivers an MQTT message to the script's subscriptions
+    sim.mqtt = function (topic, message) {
+        for (let s of subscriptions) {
+            if (topicMatches(s.topic, topic)) s.callback(topic, message, s.userdata);
+        }
+    };
+    // calls an endpoint registered with HTTPServer.registerEndpoint, returns { code, body }
+    sim.http = function (name, query, method) {
+        let response = {};
+        response.send = function () { };
+        endpoints[name].callback({ method: method || "GET", query: query || "" }, response, endpoints[name].userdata);
+        return { code: response.code, body: response.body ? JSON.parse(response.body) : undefined };
+    };
+    sim.published_to = function (topic) {
+        return sim.published.filter(function (p) {
+            return p.topic === topic;
+        });
+    };
+    return sim;
+}
+
+// reads a trace file. CSV needs a header with a `time` column in seconds, an optional `id` column, all other columns are status
+// delta keys, e.g. time,a_act_power,b_act_power,c_act_power for a Pro3EM or time,id,apower for a Pro4PM.
+// JSON is an array of { time, id, delta }
+function loadTrace(file) {
+    let text = fs.readFileSync(file, "utf8");
+    if (path.extname(file) === ".json") return JSON.parse(text);
+    let lines = text.split(/\r?\n/).filter(function (line) {
+        return line.trim() !== "" && line[0] !== "#";
+    });
+    let header = lines[0].split(",").map(function (h) {
+        return h.trim();
+    });
+    return lines.slice(1).map(function (line) {
+        let row = { time: 0, delta: {} };
+        line.split(",").forEach(function (value, i) {
+            if (header[i] === "time") row.time = Number(value);
+            else if (header[i] === "id") row.id = Number(value);
+            else row.delta[header[i]] = Number(value);
+        });
+        return row;
+    });
+}
+
+module.exports = { createSimulation, loadTrace, defaults };
@@ -0,0 +1,65 @@
+// Tests for the HTTP endpoint
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    http_api: { enabled: true, token: "s3cret&=+" },
+};
+
+const devices = [
+    { name: "Water heater", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+];
+
+function simulation() {
+    return createSimulation({ settings: settings, devices: devices }).start();
+}
+
+test("decodes the parameters of a request", function () {
+    let sim = simulation();
+    let response = sim.http("load-shedding", "token=s3cret%26%3D%2B&device=Water%20heater&mode=on");
+    assert.strictEqual(response.code, 200);
+    assert.strictEqual(response.body.devices[0].mode, "on");
+    response = sim.http("load-shedding", "token=s3cret%26%3D%2B&setting=power_headroom&value=600");
+    assert.strictEqual(response.code, 200);
+    assert.strictEqual(response.body.settings.power_headroom, 600);
+});
+
+test("refuses malformed escapes", function () {
+    let sim = simulation();
+    assert.strictEqual(sim.http("load-shedding", "token=s3cret%26%3D%2B&device=Water%2heater&mode=on").code, 400);
+    assert.strictEqual(sim.http("load-shedding", "token=s3cret%E0%A4%A&device=Water%20heater&mode=on").code, 401);
+});
+
+test("refuses invalid setting values", function () {
+    let sim = simulation();
+    assert.strictEqual(sim.http("load-shedding", "token=s3cret%26%3D%2B&setting=power_increase_threshold_duration&value=").code, 400);
+    assert.strictEqual(sim.http("load-shedding", "token=s3cret%26%3D%2B&setting=power_headroom&value=Infinity").code, 400);
+    assert.strictEqual(sim.http("load-shedding").body.settings.power_increase_threshold_duration, 60);
+});
+
+test("polling the state doesn't take the lost and back warnings away from the controller", function () {
+    let sim = createSimulation({
+        settings: Object.assign({ battery: { source: "mqtt", soc_topic: "battery/soc", max_age: 60 }, logging: { level: "info" } }, settings),
+        devices: devices,
+    }).start();
+    function warnings() {
+        return sim.log.filter(function (line) {
+            return line.indexOf("battery readings") >= 0 || line.indexOf("Battery readings") >= 0;
+        }).length;
+    }
+    sim.mqtt("battery/soc", "95");
+    sim.surplus(0);
+    sim.advance(70);
+    assert.strictEqual(sim.http("load-shedding").body.battery.lost, true);
+    assert.strictEqual(warnings(), 0);
+    sim.surplus(0);
+    assert.strictEqual(warnings(), 1);
+    sim.mqtt("battery/soc", "95");
+    assert.strictEqual(sim.http("load-shedding").body.battery.lost, false);
+    assert.strictEqual(warnings(), 1);
+    sim.surplus(0);
+    assert.strictEqual(warnings(), 2);
+});
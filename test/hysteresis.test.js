@@ -0,0 +1,105 @@
+// Regression tests for the step-up/step-down behaviour shown in hysteresis.svg and time_hysteresis.svg
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { createSimulation, loadTrace } = require("./harness");
+
+const settings = {
+    power_hysteresis_span: 200,
+};
+
+const devices = [
+    { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    { name: "1.2", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    { name: "1.3", addr: "192.168.178.56", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+];
+
+function simulation(options) {
+    return createSimulation(Object.assign({ settings: settings, devices: devices }, options)).start();
+}
+
+// seconds since the start of the simulation for every switch
+function switchTimes(sim, start) {
+    return sim.switches().map(function (c) {
+        return { device: c.device, on: c.on, after: Math.round((c.time - start) / 1000) };
+    });
+}
+
+test("steps up only after the surplus stayed high enough for power_increase_threshold_duration", function () {
+    let sim = simulation();
+    let start = sim.now();
+    sim.hold(1800, 55);
+    assert.deepStrictEqual(sim.switches(), []);
+    sim.hold(1800, 10);
+    assert.deepStrictEqual(switchTimes(sim, start), [{ device: "1.1", on: true, after: 60 }]);
+});
+
+test("a surplus that drops before power_increase_threshold_duration cancels the step up", function () {
+    let sim = simulation();
+    sim.hold(1800, 40);
+    sim.hold(0, 10);
+    sim.hold(1800, 40);
+    assert.deepStrictEqual(sim.switches(), []);
+});
+
+test("steps up to the highest level that fits", function () {
+    let sim = simulation();
+    sim.hold(2600, 65);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": true, "1.3": false });
+});
+
+test("steps down after power_decrease_threshold_duration, also when there is no surplus at all", function () {
+    let sim = simulation();
+    sim.hold(1800, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    let start = sim.now();
+    sim.hold(0, 25);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.hold(0, 10);
+    assert.strictEqual(sim.states()["1.1"], false);
+    assert.deepStrictEqual(switchTimes(sim, start).slice(1), [{ device: "1.1", on: false, after: 30 }]);
+});
+
+test("a short drop of the surplus doesn't step down", function () {
+    let sim = simulation();
+    sim.hold(1800, 65);
+    sim.hold(300, 20);
+    sim.hold(1800, 60);
+    assert.strictEqual(sim.switches().length, 1);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("the hysteresis span keeps the state between the lower and upper threshold", function () {
+    let sim = simulation();
+    // 1000W + 500W headroom + half of the 200W span are needed to step up
+    sim.hold(1550, 120);
+    assert.deepStrictEqual(sim.switches(), []);
+    sim.hold(1650, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // and only below 1000W + 500W headroom - half of the span it steps down again
+    sim.hold(1450, 120);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.hold(1350, 35);
+    assert.strictEqual(sim.states()["1.1"], false);
+});
+
+test("replays a recorded trace", function () {
+    let sim = simulation();
+    let start = sim.now();
+    sim.replay(loadTrace(path.join(__dirname, "traces", "cloudy-morning.csv")));
+    // the surplus rises at 60s, the short cloud at 180s is ignored, the long one at 300s steps down
+    assert.deepStrictEqual(switchTimes(sim, start), [
+        { device: "1.1", on: true, after: 120 },
+        { device: "1.1", on: false, after: 330 },
+    ]);
+});
+
+test("feeds the consumption of the devices back into the meter", function () {
+    let sim = simulation({ feedback: true, settings: Object.assign({ power_increase_threshold_duration: 10 }, settings) });
+    sim.hold(2000, 20);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.surplus(2000);
+    assert.strictEqual(sim.lastSurplus, 1000);
+});
@@ -0,0 +1,61 @@
+// Tests for the per-device minimum on/off times and switch limits
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+function simulation(limits) {
+    let device = Object.assign({ name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 }, limits);
+    return createSimulation({ devices: [device] }).start();
+}
+
+test("minOnTime keeps a device on without surplus", function () {
+    let sim = simulation({ minOnTime: 300 });
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    let on = sim.switches()[0].time;
+    sim.hold(0, 240);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.hold(0, 120);
+    assert.strictEqual(sim.states()["1.1"], false);
+    // stepped down after power_decrease_threshold_duration once the lock ended
+    let off = sim.switches()[1].time;
+    assert.ok(off - on >= 330 * 1000 && off - on < 345 * 1000, "" + (off - on));
+});
+
+test("minOffTime keeps a device off despite a surplus", function () {
+    let sim = simulation({ minOffTime: 300 });
+    sim.hold(2000, 65);
+    sim.hold(0, 35);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(2000, 240);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(2000, 120);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("maxSwitchesPerHour keeps the state once the limit is reached", function () {
+    let sim = simulation({ maxSwitchesPerHour: 2 });
+    sim.hold(2000, 65);
+    sim.hold(0, 35);
+    assert.strictEqual(sim.switches().length, 2);
+    sim.hold(2000, 3000, 30);
+    assert.strictEqual(sim.states()["1.1"], false);
+    // an hour after the first switch, one switch is allowed again
+    sim.hold(2000, 900, 30);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.strictEqual(sim.switches().length, 3);
+});
+
+test("the lock shows up in the debug log", function () {
+    let sim = createSimulation({
+        settings: { logging: { level: "debug" } },
+        devices: [{ name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000, minOnTime: 300 }],
+    }).start();
+    sim.hold(2000, 65);
+    sim.hold(0, 5);
+    assert.ok(sim.log.some(function (line) {
+        return line.indexOf("Device 1.1 is locked on: minOnTime") >= 0;
+    }));
+});
@@ -0,0 +1,106 @@
+// Tests for the runtime configuration and device overrides over MQTT
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    persist_interval: 900,
+    logging: { mqtt: { enabled: true, topicPrefix: "ls/" } },
+    mqtt_control: { enabled: true, discovery: false },
+};
+
+function simulation(kvs) {
+    return createSimulation({ settings: settings, kvs: kvs }).start();
+}
+
+function headroom(sim) {
+    return sim.eval("power_headroom");
+}
+
+test("refuses empty, non-finite and out of range values", function () {
+    let sim = simulation();
+    let published = sim.published.length;
+    for (let value of ["", " ", "abc", "Infinity", "-1"]) {
+        sim.mqtt("ls/set/power_headroom", value);
+        assert.strictEqual(headroom(sim), 500, JSON.stringify(value));
+    }
+    sim.mqtt("ls/set/power_decrease_threshold_duration", "-5");
+    assert.strictEqual(sim.eval("power_decrease_threshold_duration"), 30);
+    sim.mqtt("ls/set/battery_min_soc", "101");
+    assert.strictEqual(sim.eval("battery.min_soc"), 0);
+    // neither acknowledged nor persisted
+    assert.deepStrictEqual(sim.published.slice(published), []);
+    assert.strictEqual(sim.kvs["ls/1/settings"], undefined);
+    sim.mqtt("ls/set/power_headroom", " 0 ");
+    assert.strictEqual(headroom(sim), 0);
+});
+
+test("ignores invalid persisted settings", function () {
+    let sim = simulation({ "ls/1/settings": JSON.stringify({ power_headroom: null, power_hysteresis_span: -100, power_increase_threshold_duration: 90 }) });
+    assert.strictEqual(headroom(sim), 500);
+    assert.strictEqual(sim.eval("power_hysteresis_span"), 0);
+    assert.strictEqual(sim.eval("power_increase_threshold_duration"), 90);
+    assert.ok(sim.log.some(function (line) {
+        return line.indexOf("Ignoring unknown or invalid persisted setting power_headroom") >= 0;
+    }));
+});
+
+test("changes a setting, acknowledges and persists it", function () {
+    let sim = simulation();
+    sim.mqtt("ls/set/power_headroom", "600");
+    assert.strictEqual(headroom(sim), 600);
+    let acks = sim.published_to("ls/state/power_headroom");
+    assert.deepStrictEqual(acks[acks.length - 1], { time: sim.now(), topic: "ls/state/power_headroom", message: "600", retain: true });
+    assert.deepStrictEqual(JSON.parse(sim.kvs["ls/1/settings"]), { power_headroom: 600 });
+    sim.mqtt("ls/set/logging_level", "debug");
+    assert.strictEqual(sim.eval("logging.level"), "debug");
+    sim.mqtt("ls/set/logging_level", "verbose");
+    assert.strictEqual(sim.eval("logging.level"), "debug");
+    // and the change survives a restart
+    let restarted = simulation(sim.kvs);
+    assert.strictEqual(headroom(restarted), 600);
+});
+
+test("overrides a device and hands it back with auto", function () {
+    let sim = simulation();
+    sim.mqtt("ls/1.1/set", "on");
+    sim.hold(0, 5);
+    assert.strictEqual(sim.states()["1.1"], true);
+    let modes = sim.published_to("ls/1.1/mode");
+    assert.strictEqual(modes[modes.length - 1].message, "on");
+    sim.hold(0, 120);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.mqtt("ls/1.1/set", "auto");
+    sim.hold(0, 35);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.mqtt("ls/1.1/set", "sometimes");
+    assert.strictEqual(sim.eval("devices[0].override"), undefined);
+});
+
+test("pausing the controller stops all switching", function () {
+    let sim = simulation();
+    sim.mqtt("ls/set/paused", "true");
+    sim.hold(2000, 120);
+    assert.deepStrictEqual(sim.switches(), []);
+    sim.mqtt("ls/set/paused", "false");
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("publishes Home Assistant discovery config", function () {
+    let sim = createSimulation({ settings: Object.assign({}, settings, { mqtt_control: { enabled: true, discovery: true } }) }).start();
+    let node = "shellypro3em-simulated-load-shedding";
+    let mode = sim.published_to("homeassistant/select/" + node + "/1_1_mode/config");
+    assert.strictEqual(mode.length, 1);
+    assert.strictEqual(mode[0].retain, true);
+    assert.deepStrictEqual(JSON.parse(mode[0].message), {
+        name: "1.1 mode", options: ["auto", "on", "off"], command_topic: "ls/1.1/set", state_topic: "ls/1.1/mode",
+        unique_id: node + "_1_1_mode", device: { identifiers: [node], name: "load-shedding" },
+    });
+    let setting = JSON.parse(sim.published_to("homeassistant/number/" + node + "/power_headroom/config")[0].message);
+    assert.strictEqual(setting.command_topic, "ls/set/power_headroom");
+    assert.strictEqual(setting.min, 0);
+    assert.strictEqual(sim.published_to("homeassistant/switch/" + node + "/paused/config").length, 1);
+});
@@ -0,0 +1,80 @@
+// Tests for devices without expectedPower
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation, defaults } = require("./harness");
+
+function simulation(opportunistic, options) {
+    return createSimulation(Object.assign({ devices: defaults.devices.concat(opportunistic) }, options)).start();
+}
+
+test("tries a device without expectedPower once every other device is on and keeps it if it fits", function () {
+    let sim = simulation([{ name: "pump", addr: "192.168.178.60", gen: 2, type: "switch", channel: 0, power: 400 }]);
+    sim.hold(2000, 65);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, pump: false });
+    // 500W are left after the headroom and 1.1
+    sim.hold(2000, 60);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, pump: true });
+    sim.hold(2000, 60);
+    assert.strictEqual(sim.states().pump, true);
+    assert.strictEqual(sim.eval("devices[1].observed_power"), 400);
+    assert.strictEqual(sim.commands.filter(function (c) { return c.device == "pump" && c.on !== undefined; }).length, 1);
+    // the observed draw is taken into account, the pump goes off before 1.1
+    sim.hold(1800, 35);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, pump: false });
+});
+
+test("turns the device off again if it draws more than was left, and doesn't retry", function () {
+    let sim = simulation([{ name: "pump", addr: "192.168.178.60", gen: 1, type: "relay", channel: 0, power: 800 }]);
+    sim.hold(2000, 140);
+    assert.strictEqual(sim.states().pump, true);
+    sim.hold(2000, 30);
+    assert.strictEqual(sim.states().pump, false);
+    assert.strictEqual(sim.eval("devices[1].observed_power"), 800);
+    sim.hold(2000, 300);
+    assert.strictEqual(sim.states().pump, false);
+    // until there is enough surplus for it
+    sim.hold(2400, 130);
+    assert.strictEqual(sim.states().pump, true);
+});
+
+test("measures devices that don't report their power by the change of the power reading", function () {
+    let sim = simulation([{ name: "fan", on_url: "http://192.168.178.61/on", off_url: "http://192.168.178.61/off" }]);
+    sim.hold(2000, 125);
+    assert.strictEqual(sim.states().fan, true);
+    sim.hold(1800, 40);
+    assert.strictEqual(sim.states().fan, true);
+    assert.strictEqual(sim.eval("devices[1].observed_power"), 200);
+});
+
+test("remembers the observed draw across restarts", function () {
+    let sim = simulation([{ name: "pump", addr: "192.168.178.60", gen: 2, type: "switch", channel: 0, power: 400 }], { settings: { persist_interval: 60 } });
+    sim.hold(2000, 250);
+    assert.strictEqual(JSON.parse(sim.kvs["ls/1/d/pump"]).m, 400);
+    let restarted = simulation([{ name: "pump", addr: "192.168.178.60", gen: 2, type: "switch", channel: 0, power: 400 }], { kvs: sim.kvs });
+    assert.strictEqual(restarted.eval("devices[1].observed_power"), 400);
+});
+
+test("a device measured through the meter is not taken off the surplus twice", function () {
+    let pump = { name: "pump", on_url: "http://192.168.178.61/on", off_url: "http://192.168.178.61/off", power: 400 };
+    let sim = createSimulation({ devices: [pump], feedback: true }).start();
+    sim.hold(1100, 600);
+    assert.strictEqual(sim.states().pump, true);
+    assert.strictEqual(sim.eval("devices[0].observed_power"), 400);
+    // devices with only on_url/off_url are synced by resending the command, the pump was turned on once and never off again
+    assert.deepStrictEqual(sim.switches().map(function (c) { return c.on; }), [false, false, true]);
+    // but it still goes off once the surplus is too low for it
+    sim.hold(800, 35);
+    assert.strictEqual(sim.states().pump, false);
+});
+
+test("gives up on a device whose draw the meter doesn't see", function () {
+    let sim = simulation([{ name: "fan", on_url: "http://192.168.178.61/on", off_url: "http://192.168.178.61/off", power: 200 }]);
+    sim.hold(2000, 600);
+    assert.strictEqual(sim.states().fan, false);
+    assert.strictEqual(sim.switches().filter(function (c) { return c.device == "fan" && c.on; }).length, 1);
+    assert.ok(sim.log.some(function (line) {
+        return line.indexOf("can't be measured") >= 0;
+    }));
+});
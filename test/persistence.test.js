@@ -0,0 +1,62 @@
+// Tests for persisting the state of the script in the KVS and restoring it after a restart
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    persist_interval: 900,
+};
+
+const devices = [
+    { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+    { name: "1.2", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 1000 },
+];
+
+function simulation(options) {
+    return createSimulation(Object.assign({ settings: settings, devices: devices }, options)).start();
+}
+
+test("steps down devices that were on before a restart", function () {
+    let before = simulation();
+    before.hold(1600, 65);
+    assert.deepStrictEqual(before.states(), { "1.1": true, "1.2": false });
+    before.eval("save_state()");
+
+    let sim = simulation({ kvs: before.kvs, devices: [Object.assign({ on: true }, devices[0]), devices[1]] });
+    assert.strictEqual(sim.eval("devices[0].presumed_state"), "on");
+    assert.strictEqual(sim.eval("current_expected_power_draw"), 1000);
+    let start = sim.now();
+    sim.hold(0, 300);
+    assert.deepStrictEqual(sim.states(), { "1.1": false, "1.2": false });
+    assert.deepStrictEqual(sim.switches().map(function (c) {
+        return { device: c.device, on: c.on, after: Math.round((c.time - start) / 1000) };
+    }), [{ device: "1.1", on: false, after: 30 }]);
+});
+
+test("keeps devices that were on before a restart while the surplus lasts", function () {
+    let before = simulation();
+    before.hold(1600, 65);
+    before.eval("save_state()");
+
+    let sim = simulation({ kvs: before.kvs, devices: [Object.assign({ on: true }, devices[0]), devices[1]] });
+    sim.hold(1600, 300);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": false });
+    assert.deepStrictEqual(sim.switches(), []);
+});
+
+test("reconciles devices that were added to or removed from the config", function () {
+    let before = simulation({ devices: [devices[0], { name: "gone", addr: "192.168.178.60", gen: 1, type: "relay", channel: 0, expectedPower: 500 }] });
+    before.hold(1600, 65);
+    before.eval("save_state()");
+    assert.ok("ls/1/d/gone" in before.kvs);
+
+    let sim = simulation({ kvs: before.kvs, devices: [Object.assign({ on: true }, devices[0]), devices[1]] });
+    assert.ok(!("ls/1/d/gone" in sim.kvs));
+    assert.strictEqual(sim.eval("devices[0].presumed_state"), "on");
+    assert.strictEqual(sim.eval("devices[1].presumed_state"), "off");
+    assert.strictEqual(sim.eval("current_expected_power_draw"), 1000);
+    sim.eval("save_state()");
+    assert.deepStrictEqual(Object.keys(sim.kvs).sort(), ["ls/1/d/1.1", "ls/1/d/1.2", "ls/1/settings"]);
+});
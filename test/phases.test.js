@@ -0,0 +1,65 @@
+// Tests for per_phase allocation and phase_import_limit
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    power_headroom: 300,
+};
+
+function simulation(extra, devices) {
+    return createSimulation({ settings: Object.assign({}, settings, extra), devices: devices }).start();
+}
+
+test("per_phase only uses the surplus of the phase a device is on", function () {
+    let devices = [
+        { name: "heater", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 3000, phase: "a", priority: 1 },
+        { name: "boiler", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 1500, phase: "b" },
+    ];
+    let total = simulation({}, devices);
+    total.hold([1000, 2000, 2000], 65);
+    assert.deepStrictEqual(total.states(), { heater: true, boiler: true });
+
+    let sim = simulation({ per_phase: true }, devices);
+    sim.hold([1000, 2000, 2000], 65);
+    assert.deepStrictEqual(sim.states(), { heater: false, boiler: true });
+    sim = simulation({ per_phase: true, allocation_mode: "bestfit" }, devices);
+    sim.hold([1000, 2000, 2000], 65);
+    assert.deepStrictEqual(sim.states(), { heater: false, boiler: true });
+    // an import on another phase doesn't matter either
+    sim = simulation({ per_phase: true }, devices);
+    sim.hold([-1000, 2000, 2000], 65);
+    assert.deepStrictEqual(sim.states(), { heater: false, boiler: true });
+});
+
+test("3-phase devices draw a third from every phase", function () {
+    let devices = [{ name: "heat pump", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 3000, phase: "3-phase" }];
+    let sim = simulation({ per_phase: true }, devices);
+    sim.hold([1200, 1200, 900], 65);
+    assert.strictEqual(sim.states()["heat pump"], false);
+    sim.hold([1200, 1200, 1200], 65);
+    assert.strictEqual(sim.states()["heat pump"], true);
+    // a single phase running short is enough to step down
+    sim.hold([1200, 1200, 900], 35);
+    assert.strictEqual(sim.states()["heat pump"], false);
+});
+
+test("phase_import_limit only sheds the overloaded phase", function () {
+    let devices = [
+        { name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000, phase: "a" },
+        { name: "1.2", addr: "192.168.178.53", gen: 1, type: "relay", channel: 0, expectedPower: 1000, phase: "c" },
+    ];
+    let sim = simulation({ phase_import_limit: 500 }, devices);
+    sim.hold([1000, 1000, 1000], 65);
+    assert.deepStrictEqual(sim.states(), { "1.1": true, "1.2": true });
+    // same total, but phase a would import 2000W with 1.1 on
+    sim.hold([-1000, 2000, 2000], 35);
+    assert.deepStrictEqual(sim.states(), { "1.1": false, "1.2": true });
+
+    let unlimited = simulation({}, devices);
+    unlimited.hold([1000, 1000, 1000], 65);
+    unlimited.hold([-1000, 2000, 2000], 35);
+    assert.deepStrictEqual(unlimited.states(), { "1.1": true, "1.2": true });
+});
@@ -0,0 +1,106 @@
+// Tests for remote power sources and power_filter
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+// surplus every 5s, with a spike of `spike` watts at the given tick
+function withSpike(sim, watts, ticks, spikeAt, spike) {
+    for (let i = 0; i < ticks; i++) {
+        sim.surplus(i === spikeAt ? spike : watts);
+        sim.advance(5);
+    }
+}
+
+test("without a filter, a single spike cancels a pending step up", function () {
+    let sim = createSimulation().start();
+    withSpike(sim, 1800, 14, 6, -1500);
+    assert.strictEqual(sim.states()["1.1"], false);
+});
+
+test("the median filter ignores a single spike", function () {
+    let sim = createSimulation({ settings: { power_filter: { type: "median", samples: 5 } } }).start();
+    withSpike(sim, 1800, 14, 6, -1500);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("exponential smoothing dampens a short drop", function () {
+    let sim = createSimulation({ settings: { power_filter: { type: "exponential", alpha: 0.3 } } }).start();
+    // 0.3 * 1200W + 0.7 * 1800W = 1620W still leaves 1000W above the headroom
+    withSpike(sim, 1800, 14, 6, 1200);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // and approaches the surplus again afterwards
+    assert.ok(sim.eval("current_power()") < -1750);
+});
+
+test("polls a remote Pro EM-50", function () {
+    let sim = createSimulation({
+        settings: { power_source: { type: "shelly", model: "em1", addr: "192.168.178.40", channel: 0, interval: 5 } },
+    });
+    let calls = 0;
+    sim.route("http://192.168.178.40/rpc/EM1.GetStatus?id=0", function () {
+        calls++;
+        return { id: 0, act_power: 1800 };
+    });
+    sim.start();
+    // status updates of the local Shelly are ignored with a remote source
+    sim.status({ component: "em:0", id: 0, delta: { a_act_power: 0, b_act_power: 0, c_act_power: 0 } });
+    sim.advance(70);
+    assert.ok(calls >= 13);
+    assert.strictEqual(sim.eval("current_power()"), -1800);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("reads a generic JSON endpoint and keeps 3EM phases apart", function () {
+    let sim = createSimulation({
+        settings: { power_source: { type: "http", url: "http://10.0.0.5/data", path: "grid.power", interval: 10 } },
+    });
+    sim.route("http://10.0.0.5/data", function () {
+        return { grid: { power: 900 } };
+    });
+    sim.start();
+    sim.advance(10);
+    assert.strictEqual(sim.eval("current_power()"), -900);
+
+    sim = createSimulation({
+        settings: { power_source: { type: "shelly", model: "gen1-3em", addr: "10.0.0.6", channel: 0, interval: 5 } },
+    });
+    sim.route("http://10.0.0.6/status", function () {
+        return { emeters: [{ power: 100 }, { power: 200 }, { power: 300 }] };
+    });
+    sim.start();
+    sim.advance(5);
+    assert.deepStrictEqual(JSON.parse(sim.eval("JSON.stringify(channel_power)")), { a: 100, b: 200, c: 300 });
+});
+
+test("steps down once a remote source is lost, and warns only once", function () {
+    let sim = createSimulation({
+        settings: { power_source: { type: "shelly", model: "em1", addr: "192.168.178.40", channel: 0, interval: 5, max_age: 30 } },
+    });
+    let online = true;
+    sim.route("http://192.168.178.40/", function () {
+        return online ? { id: 0, act_power: 2000 } : undefined;
+    });
+    sim.start();
+    sim.advance(70);
+    assert.strictEqual(sim.states()["1.1"], true);
+    online = false;
+    sim.advance(25);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // lost after max_age, then stepped down after power_decrease_threshold_duration
+    sim.advance(40);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.advance(3600);
+    let warnings = sim.log.filter(function (line) {
+        return line.indexOf("[WARN]") >= 0;
+    });
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(warnings[0].indexOf("No power readings") >= 0);
+    online = true;
+    sim.advance(70);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.ok(sim.log.some(function (line) {
+        return line.indexOf("[WARN]") >= 0 && line.indexOf("are back") >= 0;
+    }));
+});
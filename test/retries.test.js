@@ -0,0 +1,50 @@
+// Tests for retrying failed commands
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+const settings = {
+    logging: { level: "error" },
+    power_source: { type: "http", url: "http://10.0.0.5/data", path: "power", interval: 5 },
+    battery: { source: "http", url: "http://10.0.0.6/battery", soc_path: "soc", power_path: "power", interval: 10, max_age: 60 },
+};
+
+const devices = [];
+for (let i = 1; i <= 6; i++) {
+    devices.push({ name: "1." + i, addr: "192.168.178." + (50 + i), gen: 1, type: "relay", channel: 0, expectedPower: 100 });
+}
+
+test("retries many failing devices with back-off without running out of timers", function () {
+    let sim = createSimulation({ settings: settings, devices: devices });
+    let surplus = 2000;
+    sim.route("http://10.0.0.5/", function () {
+        return { power: surplus };
+    });
+    sim.route("http://10.0.0.6/", function () {
+        return { soc: 100, power: 0 };
+    });
+    sim.start();
+    sim.advance(70);
+    assert.deepStrictEqual(Object.values(sim.states()), [true, true, true, true, true, true]);
+
+    // the WiFi goes down and the surplus with it
+    for (let device of devices) {
+        sim.setReachable(device.name, false);
+    }
+    surplus = 0;
+    let start = sim.now();
+    sim.advance(120);
+    // the toolbox queue and the tick
+    assert.ok(sim.timers() <= 2, sim.timers() + " timers");
+    let attempts = sim.commands.filter(function (c) {
+        return c.device === "1.1" && c.failed;
+    }).map(function (c) {
+        return Math.round((c.time - start) / 1000);
+    });
+    // the step down 30s after the next poll, then retries after 5, 10 and 20s. They run on the next tick, so up to a second later
+    assert.deepStrictEqual(attempts, [35, 41, 52, 73]);
+    assert.strictEqual(sim.eval("devices[5].unreachable"), true);
+    assert.strictEqual(sim.eval("JSON.stringify(devices.map(function (d) { return d.retry_at; }))"), "[0,0,0,0,0,0]");
+});
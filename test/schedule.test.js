@@ -0,0 +1,71 @@
+// Tests for the time windows and the guaranteed daily runtime of devices
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSimulation } = require("./harness");
+
+function simulation(schedule, start) {
+    let device = Object.assign({ name: "1.1", addr: "192.168.178.49", gen: 1, type: "relay", channel: 0, expectedPower: 1000 }, schedule);
+    return createSimulation({ devices: [device], start: start }).start();
+}
+
+// the local time of the simulated clock, e.g. "09:01"
+function clock(time) {
+    let date = new Date(time);
+    return String(date.getHours()).padStart(2, "0") + ":" + String(date.getMinutes()).padStart(2, "0");
+}
+
+test("turns a device on only within its windows", function () {
+    // starts at 08:00
+    let sim = simulation({ windows: ["09:00-19:00"] });
+    sim.hold(2000, 3540, 30);
+    assert.strictEqual(sim.states()["1.1"], false);
+    sim.hold(2000, 180);
+    assert.strictEqual(sim.states()["1.1"], true);
+    assert.strictEqual(clock(sim.switches()[0].time), "09:01");
+});
+
+test("turns a device off right away at the end of its window", function () {
+    let sim = simulation({ windows: ["09:00-19:00"] }, new Date(2025, 5, 1, 18, 55, 0));
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.hold(2000, 240);
+    assert.strictEqual(sim.states()["1.1"], false);
+    assert.strictEqual(clock(sim.switches()[1].time), "19:00");
+});
+
+test("windows can run over midnight", function () {
+    let sim = simulation({ windows: ["22:00-06:00"] }, new Date(2025, 5, 1, 23, 0, 0));
+    sim.hold(2000, 65);
+    assert.strictEqual(sim.states()["1.1"], true);
+});
+
+test("turns a device on from the grid to reach its minRuntime by the deadline", function () {
+    // one hour left until the deadline, so it has to run right away
+    let sim = simulation({ minRuntime: 60, runtimeDeadline: "09:00" });
+    sim.hold(0, 10);
+    assert.strictEqual(sim.states()["1.1"], true);
+    sim.hold(0, 3540, 30);
+    assert.strictEqual(sim.states()["1.1"], true);
+    // and steps down as usual once the runtime is reached
+    sim.hold(0, 120, 30);
+    assert.strictEqual(sim.states()["1.1"], false);
+    assert.ok(sim.eval("devices[0].runtime_today") >= 3600);
+});
+
+test("runtime covered by the surplus counts towards minRuntime", function () {
+    let sim = simulation({ minRuntime: 60, runtimeDeadline: "12:00" });
+    sim.hold(2000, 3900, 30);
+    sim.hold(0, 60, 30);
+    assert.strictEqual(sim.states()["1.1"], false);
+    // nothing is missing anymore, so it isn't turned on before the deadline
+    sim.hold(0, 3 * 3600, 60);
+    assert.strictEqual(sim.switches().length, 2);
+});
+
+test("minRuntime takes precedence over windows", function () {
+    let sim = simulation({ windows: ["09:00-19:00"], minRuntime: 60, runtimeDeadline: "09:00" });
+    sim.hold(0, 10);
+    assert.strictEqual(sim.states()["1.1"], true);
+});